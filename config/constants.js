@@ -7,10 +7,136 @@ const PICTOGRAMS = [
   'oxidante',
   'baterias',
   'riesgoBiologico',
-  'radioactivo'
+  'radioactivo',
+  'triangulo'
 ];
 
-const COLORS = ["white", "red", "black", "yellow", "blue", "green", "orange"];
-const NUMBERS = [1.1, 1.2, 1.3, 1.4, 1.5, 1.6, 2.1, 2.2, 2.3, 3, 4.1, 4.2, 4.3, 5.1, 5.2, 6.1, 6.2, 7, 8, 9];
+const COLORS = ["white", "red", "black", "yellow", "blue", "green", "orange", "redStripes", "blackStripes"];
+const NUMBERS = [1, 1.1, 1.2, 1.3, 1.4, 1.5, 1.6, 2, 2.1, 2.2, 2.3, 3, 4.1, 4.2, 4.3, 5.1, 5.2, 6.1, 6.2, 7, 8, 9];
 
-module.exports = { PICTOGRAMS, COLORS, NUMBERS };
+// Tipos de pregunta: construir la etiqueta, opción múltiple, identificar el número y verdadero/falso
+const QUESTION_TYPES = ["label", "multiple-choice", "identify-number", "true-false"];
+const DEFAULT_QUESTION_TYPE = "label";
+
+// Límites del tiempo por pregunta (segundos)
+const MIN_TIME_LIMIT = 5;
+const MAX_TIME_LIMIT = 300;
+
+// Tiempo (ms) que se muestran los resultados de cada pregunta antes de pasar a la siguiente
+const RESULTS_DISPLAY_TIME = 4000;
+
+// PIN de los juegos: longitud fija y alfabeto sin caracteres ambiguos (0/O, 1/I)
+const PIN_LENGTH = 6;
+const PIN_FORMATS = ["alphanumeric", "numeric"];
+const PIN_ALPHABETS = {
+  alphanumeric: "ABCDEFGHJKLMNPQRSTUVWXYZ23456789",
+  numeric: "0123456789"
+};
+
+// Tiempo (ms) que se conserva un jugador desconectado esperando a que se reconecte
+const PLAYER_RECONNECT_GRACE_TIME = Number(process.env.PLAYER_RECONNECT_GRACE_TIME) || 60000;
+
+// Tiempo (ms) que el tiempo de respuesta reportado por el cliente puede ser menor que el
+// medido en el servidor (latencia de red); más allá de eso la respuesta se marca como sospechosa
+const RESPONSE_TIME_TOLERANCE = Number(process.env.RESPONSE_TIME_TOLERANCE) || 1500;
+
+// Margen (ms) tras el límite de una pregunta en el que todavía se aceptan respuestas en
+// tránsito (p. ej. el envío automático al agotarse el tiempo); la ronda se cierra después
+const ANSWER_GRACE_TIME = Number(process.env.ANSWER_GRACE_TIME) || 2000;
+
+// Modos de puntuación: todo o nada, o crédito parcial ponderado por componente
+const SCORING_MODES = ["all-or-nothing", "partial"];
+const DEFAULT_SCORING_MODE = "all-or-nothing";
+const DEFAULT_COMPONENT_WEIGHTS = { pictogram: 0.4, colors: 0.3, number: 0.3 };
+
+// Reglas de puntos por pregunta: máximo, mínimo (respuesta correcta al límite de tiempo),
+// curva de caída según el tiempo de respuesta y multiplicadores por racha de aciertos
+const DECAY_CURVES = ["linear", "none", "exponential"];
+const MAX_QUESTION_POINTS = 1000;
+const MAX_STREAK_MULTIPLIER = 5;
+const DEFAULT_SCORING_RULES = {
+  maxPoints: 100,
+  minPoints: 10,
+  decay: "linear",
+  // [{streak, multiplier}]: a partir de `streak` aciertos seguidos los puntos se multiplican
+  streakMultipliers: []
+};
+
+// Modos de juego: en vivo (rondas sincronizadas) o autónomo (cada jugador avanza a su ritmo)
+const GAME_MODES = ["live", "self-paced"];
+const DEFAULT_GAME_MODE = "live";
+
+// Duración total de un juego autónomo (minutos)
+const MIN_SELF_PACED_DURATION = 1;
+const MAX_SELF_PACED_DURATION = 7 * 24 * 60;
+const DEFAULT_SELF_PACED_DURATION = 60;
+
+// Modo por equipos: cantidad de equipos y cómo se agregan los puntajes de sus jugadores
+const MIN_TEAMS = 2;
+const MAX_TEAMS = 10;
+const TEAM_AGGREGATIONS = ["sum", "average"];
+const DEFAULT_TEAM_AGGREGATION = "sum";
+
+// Timers de las partidas: en memoria (una sola instancia) o persistidos en MongoDB
+// (varias instancias o reinicios en medio de una partida)
+const TIMER_BACKENDS = ["memory", "mongo"];
+const TIMER_BACKEND = TIMER_BACKENDS.includes(process.env.TIMER_BACKEND) ? process.env.TIMER_BACKEND : "memory";
+
+// Con el backend de MongoDB: cada cuánto se buscan timers vencidos (ms) y cuánto dura
+// el lease de la instancia que ejecuta un timer antes de que otra pueda reintentarlo (ms)
+const TIMER_POLL_INTERVAL = Number(process.env.TIMER_POLL_INTERVAL) || 500;
+const TIMER_LEASE_TIME = Number(process.env.TIMER_LEASE_TIME) || 30000;
+
+// Al arrancar, los juegos en curso sin actividad durante más de este tiempo (ms) se marcan
+// como abandonados en lugar de recuperarse
+const GAME_IDLE_THRESHOLD = Number(process.env.GAME_IDLE_THRESHOLD) || 60 * 60 * 1000;
+
+// Nombres de los manejadores de timers (se guardan con cada timer programado)
+const TIMER_HANDLERS = {
+  START_GAME: "start-game",
+  CLOSE_ROUND: "close-round",
+  NEXT_ROUND: "next-round",
+  FINISH_GAME: "finish-game",
+  SELF_PACED_DEADLINE: "self-paced-deadline",
+  PLAYER_QUESTION_TIMEOUT: "player-question-timeout",
+  REMOVE_PLAYER: "remove-player"
+};
+
+module.exports = {
+  PICTOGRAMS,
+  COLORS,
+  NUMBERS,
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_TYPE,
+  MIN_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  RESULTS_DISPLAY_TIME,
+  PIN_LENGTH,
+  PIN_FORMATS,
+  PIN_ALPHABETS,
+  PLAYER_RECONNECT_GRACE_TIME,
+  RESPONSE_TIME_TOLERANCE,
+  ANSWER_GRACE_TIME,
+  SCORING_MODES,
+  DEFAULT_SCORING_MODE,
+  DEFAULT_COMPONENT_WEIGHTS,
+  DECAY_CURVES,
+  MAX_QUESTION_POINTS,
+  MAX_STREAK_MULTIPLIER,
+  DEFAULT_SCORING_RULES,
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  MIN_SELF_PACED_DURATION,
+  MAX_SELF_PACED_DURATION,
+  DEFAULT_SELF_PACED_DURATION,
+  MIN_TEAMS,
+  MAX_TEAMS,
+  TEAM_AGGREGATIONS,
+  DEFAULT_TEAM_AGGREGATION,
+  TIMER_BACKENDS,
+  TIMER_BACKEND,
+  TIMER_POLL_INTERVAL,
+  TIMER_LEASE_TIME,
+  GAME_IDLE_THRESHOLD,
+  TIMER_HANDLERS
+};
@@ -1,5 +1,5 @@
 const mongoose = require("mongoose");
-const { seedQuestions } = require("../models/question.model");
+const { runSeeds } = require("../services/seedService");
 
 /**
  * Conecta a la base de datos MongoDB
@@ -10,8 +10,8 @@ const connectDatabase = async () => {
     await mongoose.connect(process.env.MONGODB_URI);
     console.log("Conectado a MongoDB");
 
-    // Inicializar preguntas si es necesario
-    await seedQuestions();
+    // Inicializar preguntas si es necesario (SEED_RESET=true fuerza el reinicio)
+    await runSeeds({ reset: process.env.SEED_RESET === "true" });
   } catch (err) {
     console.error("Error conectando a MongoDB:", err);
     process.exit(1); // Salir si no puede conectar a la BD
@@ -0,0 +1,17 @@
+/**
+ * Códigos de error devueltos en los callbacks de Socket.IO ({ success: false, error, code })
+ * para que el cliente pueda reaccionar sin depender del texto del mensaje
+ */
+const ERROR_CODES = {
+  HOST_UNAUTHORIZED: "HOST_UNAUTHORIZED",
+  INVALID_PAYLOAD: "INVALID_PAYLOAD",
+  // submit-answer: la respuesta llegó después del límite de la pregunta (o con la ronda cerrada)
+  ANSWER_TOO_LATE: "ANSWER_TOO_LATE",
+  // submit-answer: la respuesta es de otra ronda o de otra pregunta que la actual del jugador
+  WRONG_ROUND: "WRONG_ROUND",
+  WRONG_QUESTION: "WRONG_QUESTION",
+  // submit-answer: el jugador ya respondió la pregunta
+  ALREADY_ANSWERED: "ALREADY_ANSWERED"
+};
+
+module.exports = ERROR_CODES;
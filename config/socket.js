@@ -1,6 +1,11 @@
 const socketIO = require("socket.io");
+const mongoose = require("mongoose");
+const { createAdapter } = require("@socket.io/mongo-adapter");
 const { allowedOrigins } = require("./cors");
 
+// Colección (capped) donde el adaptador de MongoDB publica los eventos entre instancias
+const ADAPTER_COLLECTION = "socket.io-adapter-events";
+
 /**
  * Configura Socket.IO con CORS y opciones de transporte
  * @param {http.Server} server - Servidor HTTP de Node.js
@@ -18,4 +23,29 @@ const setupSocketIO = (server) => {
   return io;
 };
 
-module.exports = setupSocketIO;
\ No newline at end of file
+/**
+ * Con SOCKET_ADAPTER=mongo, usa el adaptador de MongoDB para que las emisiones
+ * (io.to(pin), io.to(socketId)) lleguen a los sockets conectados a cualquier instancia.
+ * Requiere que MongoDB sea un replica set (usa change streams) y que ya haya conexión.
+ * @param {Server} io - Instancia de Socket.IO
+ * @returns {Promise<void>}
+ */
+const setupSocketAdapter = async (io) => {
+  if (process.env.SOCKET_ADAPTER !== "mongo") return;
+
+  const db = mongoose.connection.db;
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (error) {
+    // La colección ya existe (la creó otra instancia)
+    if (error.codeName !== "NamespaceExists") throw error;
+  }
+
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  console.log("Socket.IO usando el adaptador de MongoDB");
+};
+
+module.exports = {
+  setupSocketIO,
+  setupSocketAdapter
+};
@@ -0,0 +1,141 @@
+const { PICTOGRAMS, COLORS, NUMBERS } = require("./constants");
+
+/**
+ * Vocabulario canónico de respuestas
+ * Los ids aceptados son los de config/constants; aquí se definen sus etiquetas
+ * localizadas y los alias (valores antiguos o en otro idioma) que se traducen al id.
+ */
+const LOCALES = ["es", "en"];
+const DEFAULT_LOCALE = "es";
+
+const PICTOGRAM_VOCABULARY = {
+  botella: { labels: { es: "Botella de gas", en: "Gas cylinder" }, aliases: ["cilindro", "gas cylinder"] },
+  calavera: { labels: { es: "Calavera", en: "Skull and crossbones" }, aliases: ["skull"] },
+  corrosivo: { labels: { es: "Corrosivo", en: "Corrosive" }, aliases: ["corrosive"] },
+  explosivo: { labels: { es: "Explosivo", en: "Exploding bomb" }, aliases: ["explosive", "bomba"] },
+  fuego: { labels: { es: "Llama", en: "Flame" }, aliases: ["llama", "flame", "fire"] },
+  oxidante: { labels: { es: "Llama sobre círculo", en: "Flame over circle" }, aliases: ["oxidizer", "oxidizing"] },
+  baterias: { labels: { es: "Baterías", en: "Batteries" }, aliases: ["bateria", "battery", "batteries"] },
+  riesgoBiologico: { labels: { es: "Riesgo biológico", en: "Biohazard" }, aliases: ["riesgo_biologico", "biohazard"] },
+  radioactivo: { labels: { es: "Radiactivo", en: "Radioactive" }, aliases: ["radiactivo", "radioactive", "trebol"] },
+  triangulo: { labels: { es: "Triángulo", en: "Triangle" }, aliases: ["triangle"] }
+};
+
+const COLOR_VOCABULARY = {
+  white: { labels: { es: "Blanco", en: "White" }, aliases: ["blanco"] },
+  red: { labels: { es: "Rojo", en: "Red" }, aliases: ["rojo"] },
+  black: { labels: { es: "Negro", en: "Black" }, aliases: ["negro"] },
+  yellow: { labels: { es: "Amarillo", en: "Yellow" }, aliases: ["amarillo"] },
+  blue: { labels: { es: "Azul", en: "Blue" }, aliases: ["azul"] },
+  green: { labels: { es: "Verde", en: "Green" }, aliases: ["verde"] },
+  orange: { labels: { es: "Naranja", en: "Orange" }, aliases: ["naranja"] },
+  redStripes: { labels: { es: "Rayas rojas", en: "Red stripes" }, aliases: ["rayas rojas", "red stripes"] },
+  blackStripes: { labels: { es: "Rayas negras", en: "Black stripes" }, aliases: ["rayas negras", "black stripes"] }
+};
+
+/**
+ * Normaliza un texto para compararlo: minúsculas, sin tildes y sin separadores
+ * @param {*} value - Valor a normalizar
+ * @returns {string} Clave normalizada (ej: "Riesgo_Biológico" -> "riesgobiologico")
+ */
+const toKey = (value) => String(value ?? "")
+  .normalize("NFD")
+  .replace(/[\u0300-\u036f]/g, "")
+  .toLowerCase()
+  .replace(/[\s_-]+/g, "");
+
+/**
+ * Construye un índice clave normalizada -> id canónico a partir de los ids y sus alias
+ * @param {Array<string>} ids - Ids aceptados
+ * @param {Object} vocabulary - Etiquetas y alias por id
+ * @returns {Map<string, string>} Índice de búsqueda
+ */
+const buildIndex = (ids, vocabulary) => {
+  const index = new Map();
+  ids.forEach((id) => {
+    const entry = vocabulary[id] || {};
+    index.set(toKey(id), id);
+    Object.values(entry.labels || {}).forEach(label => index.set(toKey(label), id));
+    (entry.aliases || []).forEach(alias => index.set(toKey(alias), id));
+  });
+  return index;
+};
+
+const pictogramIndex = buildIndex(PICTOGRAMS, PICTOGRAM_VOCABULARY);
+const colorIndex = buildIndex(COLORS, COLOR_VOCABULARY);
+
+/**
+ * Traduce un pictograma (id, etiqueta o alias) a su id canónico
+ * @param {string} value - Pictograma recibido
+ * @returns {string|null} Id canónico o null si no existe
+ */
+const normalizePictogram = (value) => pictogramIndex.get(toKey(value)) || null;
+
+/**
+ * Traduce un color (id, etiqueta o alias) a su id canónico
+ * @param {string} value - Color recibido
+ * @returns {string|null} Id canónico o null si no existe
+ */
+const normalizeColor = (value) => colorIndex.get(toKey(value)) || null;
+
+/**
+ * Convierte un número de clase a uno de los NUMBERS aceptados
+ * @param {number|string} value - Número recibido (ej: 4.1 o "4.1")
+ * @returns {number|null} Número aceptado o null si no existe
+ */
+const normalizeNumber = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return NUMBERS.includes(number) ? number : null;
+};
+
+/**
+ * Traduce una respuesta completa al vocabulario canónico.
+ * Los valores desconocidos se conservan tal cual para no hacer coincidir
+ * dos respuestas inválidas distintas.
+ * @param {Object} answer - Respuesta {pictogram, colors, number}
+ * @returns {Object} Respuesta normalizada
+ */
+const normalizeAnswer = (answer) => {
+  if (!answer) return { pictogram: "", colors: [], number: null };
+
+  return {
+    pictogram: normalizePictogram(answer.pictogram) || String(answer.pictogram || "").trim(),
+    colors: Array.isArray(answer.colors)
+      ? answer.colors.map(color => normalizeColor(color) || String(color).trim())
+      : [],
+    number: normalizeNumber(answer.number) ?? answer.number ?? null
+  };
+};
+
+/**
+ * Devuelve el catálogo de valores aceptados con sus etiquetas en el idioma pedido
+ * @param {string} locale - Idioma ("es" o "en")
+ * @returns {Object} Catálogo {locale, pictograms, colors, numbers}
+ */
+const getCatalog = (locale = DEFAULT_LOCALE) => {
+  const lang = LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+  const withLabel = (vocabulary) => (id) => ({
+    id,
+    label: vocabulary[id]?.labels?.[lang] || id
+  });
+
+  return {
+    locale: lang,
+    pictograms: PICTOGRAMS.map(withLabel(PICTOGRAM_VOCABULARY)),
+    colors: COLORS.map(withLabel(COLOR_VOCABULARY)),
+    numbers: NUMBERS.map(number => ({ id: number, label: String(number) }))
+  };
+};
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  PICTOGRAM_VOCABULARY,
+  COLOR_VOCABULARY,
+  normalizePictogram,
+  normalizeColor,
+  normalizeNumber,
+  normalizeAnswer,
+  getCatalog
+};
@@ -0,0 +1,37 @@
+const { getQuestionAnalytics } = require("../services/analyticsService");
+
+const MAX_TOP_WRONG_ANSWERS = 20;
+
+/**
+ * Lee una fecha opcional de la query string
+ * @param {string} value - Valor recibido
+ * @returns {Date|null|undefined} Fecha, undefined si no se envió o null si no es válida
+ */
+const parseDate = (value) => {
+  if (value === undefined) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+exports.getQuestionAnalytics = async (req, res) => {
+  try {
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      const details = ["from", "to"]
+        .filter(field => parseDate(req.query[field]) === null)
+        .map(field => ({ field, message: "Fecha no válida" }));
+      return res.status(400).json({ error: "Invalid date filter", details });
+    }
+
+    const requestedTop = parseInt(req.query.top, 10);
+    const top = Number.isInteger(requestedTop) && requestedTop > 0
+      ? Math.min(requestedTop, MAX_TOP_WRONG_ANSWERS)
+      : undefined;
+
+    const questions = await getQuestionAnalytics({ from, to, top });
+    res.json({ questions });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to compute question analytics" });
+  }
+};
@@ -0,0 +1,5 @@
+const { getCatalog } = require("../config/vocabulary");
+
+exports.getCatalog = (req, res) => {
+  res.json(getCatalog(req.query.lang));
+};
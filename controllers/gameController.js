@@ -0,0 +1,111 @@
+const Game = require("../models/game.model");
+const { buildGameResults } = require("../services/resultsService");
+const { normalizePin } = require("../services/pinService");
+const { streamResultsCsv, streamResultsXlsx } = require("../services/exportService");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Lee un entero positivo de la query string
+ * @param {string} value - Valor recibido
+ * @param {number} fallback - Valor por defecto
+ * @returns {number} Entero >= 1
+ */
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+exports.getFinishedGames = async (req, res) => {
+  try {
+    const page = parsePositiveInt(req.query.page, 1);
+    const limit = Math.min(parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+
+    // El orden usa el índice { status, finishedAt, _id } y se pagina antes de proyectar,
+    // así no se ordenan los documentos completos (con las respuestas de cada jugador)
+    const [games, total] = await Promise.all([
+      Game.aggregate([
+        { $match: { status: "finished" } },
+        { $sort: { finishedAt: -1, _id: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            pin: 1,
+            // Los juegos anteriores a finishedAt usan la fecha de creación del _id
+            date: { $ifNull: ["$finishedAt", { $toDate: "$_id" }] },
+            startedAt: 1,
+            questionsCount: { $size: "$questions" },
+            playerCount: { $size: "$players" },
+            averageScore: { $ifNull: [{ $avg: "$players.score" }, 0] }
+          }
+        }
+      ]),
+      Game.countDocuments({ status: "finished" })
+    ]);
+
+    res.json({
+      games,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch games" });
+  }
+};
+
+exports.getGameResults = async (req, res) => {
+  try {
+    const game = await Game.findOne({ pin: normalizePin(req.params.pin), status: "finished" })
+      .populate("questions");
+
+    if (!game) {
+      return res.status(404).json({ error: "Finished game not found" });
+    }
+
+    res.json(buildGameResults(game));
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch game results" });
+  }
+};
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    write: streamResultsCsv
+  },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    write: streamResultsXlsx
+  }
+};
+
+exports.exportGameResults = async (req, res) => {
+  const exporter = EXPORT_FORMATS[req.params.format];
+  if (!exporter) {
+    return res.status(400).json({ error: "Unsupported export format", formats: Object.keys(EXPORT_FORMATS) });
+  }
+
+  try {
+    const game = await Game.findOne({ pin: normalizePin(req.params.pin), status: "finished" })
+      .populate("questions");
+
+    if (!game) {
+      return res.status(404).json({ error: "Finished game not found" });
+    }
+
+    res.setHeader("Content-Type", exporter.contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="dotsgo-${game.pin}-resultados.${req.params.format}"`);
+    await exporter.write(game, res);
+  } catch (error) {
+    console.error("Error al exportar resultados:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: "Failed to export game results" });
+  }
+};
@@ -1,4 +1,42 @@
+const mongoose = require("mongoose");
 const { Question } = require("../models/question.model");
+const Game = require("../models/game.model");
+const QuestionSet = require("../models/questionSet.model");
+const { validateQuestionData } = require("../services/validationService");
+
+/**
+ * Campos editables de una pregunta
+ */
+const QUESTION_FIELDS = ["title", "type", "timeLimit", "prompt", "label", "options", "correctAnswer"];
+
+/**
+ * Combina los cambios de un PATCH con la pregunta guardada para validarla completa
+ * (label y correctAnswer se combinan campo a campo)
+ * @param {Object} question - Documento guardado
+ * @param {Object} changes - Campos enviados
+ * @returns {Object} Datos completos de la pregunta
+ */
+const mergeQuestionChanges = (question, changes) => {
+  const current = question.toObject();
+  const merged = {};
+
+  QUESTION_FIELDS.forEach((field) => {
+    merged[field] = current[field];
+  });
+
+  Object.entries(changes || {}).forEach(([field, value]) => {
+    const isObject = value && typeof value === "object" && !Array.isArray(value);
+    merged[field] = isObject && (field === "label" || field === "correctAnswer")
+      ? { ...(current[field] || {}), ...value }
+      : value;
+  });
+
+  return merged;
+};
+
+const sendValidationError = (res, errors) => {
+  res.status(400).json({ error: "Invalid question data", details: errors });
+};
 
 exports.getAllQuestions = async (req, res) => {
   try {
@@ -8,3 +46,102 @@ exports.getAllQuestions = async (req, res) => {
     res.status(500).json({ error: "Failed to fetch questions" });
   }
 };
+
+exports.getQuestionById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question id" });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    res.json(question);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch question" });
+  }
+};
+
+exports.createQuestion = async (req, res) => {
+  try {
+    const { value, errors } = validateQuestionData(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const question = await Question.create(value);
+    res.status(201).json(question);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create question" });
+  }
+};
+
+/**
+ * PUT reemplaza la pregunta completa, PATCH solo los campos enviados
+ */
+const updateQuestion = (partial) => async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question id" });
+    }
+
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    const data = partial ? mergeQuestionChanges(question, req.body) : req.body;
+    const { value, errors } = validateQuestionData(data);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    // Los campos que no aplican al tipo de pregunta se eliminan
+    QUESTION_FIELDS.forEach((field) => {
+      question.set(field, value[field]);
+    });
+    await question.save();
+
+    res.json(question);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update question" });
+  }
+};
+
+exports.replaceQuestion = updateQuestion(false);
+exports.patchQuestion = updateQuestion(true);
+
+exports.deleteQuestion = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question id" });
+    }
+
+    // No permitir borrar preguntas usadas por un juego que no ha terminado
+    const activeGames = await Game.find(
+      { status: { $in: ["waiting", "playing", "paused"] }, questions: req.params.id },
+      { pin: 1 }
+    );
+
+    if (activeGames.length > 0) {
+      return res.status(409).json({
+        error: "Question is used by an active game",
+        games: activeGames.map(game => game.pin)
+      });
+    }
+
+    const question = await Question.findByIdAndDelete(req.params.id);
+    if (!question) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    // Quitar la pregunta de los conjuntos guardados que la incluían
+    await QuestionSet.updateMany({ questions: question._id }, { $pull: { questions: question._id } });
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete question" });
+  }
+};
@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+const QuestionSet = require("../models/questionSet.model");
+const { Question } = require("../models/question.model");
+const { validateQuestionSetData } = require("../services/validationService");
+
+const sendValidationError = (res, errors) => {
+  res.status(400).json({ error: "Invalid question set data", details: errors });
+};
+
+/**
+ * Comprueba que todas las preguntas referenciadas existan
+ * @param {Array<string>} questionIds - IDs de las preguntas
+ * @returns {Promise<Array<{field: string, message: string}>>} Errores por pregunta inexistente
+ */
+const findMissingQuestions = async (questionIds) => {
+  const existing = await Question.find({ _id: { $in: questionIds } }, { _id: 1 });
+  const existingIds = new Set(existing.map(q => q._id.toString()));
+
+  return questionIds
+    .map((questionId, index) => ({ questionId, index }))
+    .filter(({ questionId }) => !existingIds.has(questionId))
+    .map(({ index }) => ({ field: `questions[${index}]`, message: "La pregunta no existe" }));
+};
+
+exports.getQuestionSets = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.tag) {
+      filter.tags = req.query.tag;
+    }
+
+    const questionSets = await QuestionSet.find(filter).sort({ updatedAt: -1 });
+    res.json(questionSets);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch question sets" });
+  }
+};
+
+exports.getQuestionSetById = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question set id" });
+    }
+
+    const questionSet = await QuestionSet.findById(req.params.id).populate("questions");
+    if (!questionSet) {
+      return res.status(404).json({ error: "Question set not found" });
+    }
+
+    res.json(questionSet);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch question set" });
+  }
+};
+
+exports.createQuestionSet = async (req, res) => {
+  try {
+    const { value, errors } = validateQuestionSetData(req.body);
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    const missing = await findMissingQuestions(value.questions);
+    if (missing.length > 0) {
+      return sendValidationError(res, missing);
+    }
+
+    const questionSet = await QuestionSet.create(value);
+    res.status(201).json(questionSet);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create question set" });
+  }
+};
+
+/**
+ * PUT reemplaza el conjunto completo, PATCH solo los campos enviados
+ */
+const updateQuestionSet = (partial) => async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question set id" });
+    }
+
+    const { value, errors } = validateQuestionSetData(req.body, { partial });
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    if (value.questions) {
+      const missing = await findMissingQuestions(value.questions);
+      if (missing.length > 0) {
+        return sendValidationError(res, missing);
+      }
+    }
+
+    // En PUT los campos opcionales no enviados vuelven a su valor por defecto
+    const update = partial
+      ? value
+      : { description: "", timeLimit: null, tags: [], ...value };
+
+    const questionSet = await QuestionSet.findByIdAndUpdate(
+      req.params.id,
+      { $set: update },
+      { new: true }
+    );
+
+    if (!questionSet) {
+      return res.status(404).json({ error: "Question set not found" });
+    }
+
+    res.json(questionSet);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update question set" });
+  }
+};
+
+exports.replaceQuestionSet = updateQuestionSet(false);
+exports.patchQuestionSet = updateQuestionSet(true);
+
+exports.deleteQuestionSet = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid question set id" });
+    }
+
+    const questionSet = await QuestionSet.findByIdAndDelete(req.params.id);
+    if (!questionSet) {
+      return res.status(404).json({ error: "Question set not found" });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete question set" });
+  }
+};
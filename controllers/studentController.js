@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const Student = require("../models/student.model");
+const { normalizeCode, getStudentProgress } = require("../services/studentService");
+
+exports.getStudents = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.classCode !== undefined) {
+      filter.classCode = normalizeCode(req.query.classCode);
+    }
+
+    const students = await Student.find(filter).sort({ classCode: 1, studentCode: 1 });
+    res.json(students);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch students" });
+  }
+};
+
+exports.getStudentProgress = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid student id" });
+    }
+
+    const student = await Student.findById(req.params.id);
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const progress = await getStudentProgress(student._id);
+    res.json({ student, ...progress });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to fetch student progress" });
+  }
+};
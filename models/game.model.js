@@ -1,8 +1,52 @@
 const mongoose = require('mongoose');
+const {
+  SCORING_MODES,
+  DEFAULT_SCORING_MODE,
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  TEAM_AGGREGATIONS,
+  DEFAULT_TEAM_AGGREGATION,
+  DECAY_CURVES
+} = require('../config/constants');
+
+// Equipo definido por el host al crear el juego
+const teamSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  // Nombres de usuario asignados de antemano (normalizados, ver teamService)
+  members: {
+    type: [String],
+    default: []
+  }
+});
 
 const playerSchema = new mongoose.Schema({
+  // Socket actual del jugador (cambia al reconectarse)
   id: String,
   username: String,
+  // Token que permite al jugador recuperar su registro tras una desconexión
+  sessionToken: String,
+  // Alumno persistente vinculado (opcional, ver models/student.model)
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
+  },
+  // Equipo del jugador (solo en juegos por equipos)
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  connected: {
+    type: Boolean,
+    default: true
+  },
+  disconnectedAt: {
+    type: Date,
+    default: null
+  },
   score: {
     type: Number,
     default: 0
@@ -15,6 +59,15 @@ const playerSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Aciertos consecutivos actuales y la mejor racha del juego
+  streak: {
+    type: Number,
+    default: 0
+  },
+  bestStreak: {
+    type: Number,
+    default: 0
+  },
   // NUEVO: Agregar información del personaje
   character: {
     id: Number,
@@ -29,11 +82,27 @@ const playerSchema = new mongoose.Schema({
       ref: 'Question'
     }
   ],
-  // Índice de la pregunta actual para este jugador
+  // Índice de la pregunta actual para este jugador (en modo autónomo avanza por su cuenta)
   currentQuestionIndex: {
     type: Number,
     default: 0
   },
+  // Modo en vivo: cuándo recibió el jugador la pregunta de la ronda `round`, en ms desde
+  // el inicio de la ronda (mayor que 0 si se unió tarde o la pidió con get-current-question)
+  questionDelivery: {
+    round: Number,
+    offset: Number
+  },
+  // Modo autónomo: momento en que el jugador recibió su pregunta actual (ms)
+  questionStartTime: {
+    type: Number,
+    default: null
+  },
+  // Modo autónomo: momento en que el jugador respondió todas sus preguntas
+  finishedAt: {
+    type: Date,
+    default: null
+  },
   answers: [
     {
       questionId: {
@@ -43,10 +112,41 @@ const playerSchema = new mongoose.Schema({
       givenAnswer: {
         pictogram: String,
         colors: [String],
-        number: Number
+        number: Number,
+        // Opción elegida (opción múltiple)
+        option: Number,
+        // Valor elegido (verdadero/falso)
+        value: Boolean
       },
       isCorrect: Boolean,
-      pointsAwarded: Number
+      pointsAwarded: Number,
+      // Tiempo de respuesta en segundos (el que cuenta para los puntos)
+      responseTime: Number,
+      // Tiempo reportado por el cliente y medido en el servidor desde que recibió la pregunta (s)
+      clientResponseTime: {
+        type: Number,
+        default: null
+      },
+      serverResponseTime: {
+        type: Number,
+        default: null
+      },
+      // true si el cliente reportó bastante menos tiempo que el medido (más allá de la tolerancia)
+      suspicious: {
+        type: Boolean,
+        default: false
+      },
+      // Fracción de los puntos obtenida (1 si es correcta, parcial según scoringMode)
+      credit: Number,
+      // Acierto de 0 a 1 por componente de la respuesta
+      breakdown: {
+        pictogram: Number,
+        colors: Number,
+        number: Number
+      },
+      // Racha de aciertos al responder y puntos extra que aportó su multiplicador
+      streak: Number,
+      streakBonus: Number
     }
   ]
 });
@@ -56,31 +156,147 @@ const gameSchema = new mongoose.Schema({
     type: String,
     unique: true
   },
+  // Socket actual del host
+  hostId: String,
+  // Token que autentica los eventos de host (no se incluye en las consultas por defecto)
+  hostToken: {
+    type: String,
+    select: false
+  },
   questionStartTime: {
     type: Number,
     default: null
   },
   status: {
     type: String,
-    enum: ['waiting', 'playing', 'finished'],
+    enum: ['waiting', 'playing', 'paused', 'finished', 'abandoned'],
     default: 'waiting'
   },
+  // Momento en que el host pausó el juego (el tiempo de la ronda queda congelado)
+  pausedAt: {
+    type: Date,
+    default: null
+  },
   players: [playerSchema],
   currentQuestion: {
     type: Number,
     default: -1
   },
+  // Fase de la ronda actual: respondiendo la pregunta o mostrando resultados
+  roundPhase: {
+    type: String,
+    enum: ['question', 'results'],
+    default: 'question'
+  },
+  // Momento en que se cerró la ronda actual (para retomar los resultados tras un reinicio)
+  roundClosedAt: {
+    type: Number,
+    default: null
+  },
   questions: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Question'
     }
   ],
+  // Tiempo por defecto de cada pregunta (ms); las preguntas pueden definir el suyo
   timeLimitPerQuestion: {
     type: Number,
     required: true
+  },
+  // Duración de la ronda actual (ms): el mayor tiempo entre las preguntas de los jugadores
+  roundTimeLimit: {
+    type: Number,
+    default: null
+  },
+  // Posición de cada jugador (por _id) al empezar la ronda actual, para calcular los cambios de posición
+  rankSnapshot: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
+  // Conjunto de preguntas usado para crear el juego (si se eligió uno)
+  questionSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QuestionSet',
+    default: null
+  },
+  // Modo de juego: rondas en vivo o cada jugador a su ritmo
+  mode: {
+    type: String,
+    enum: GAME_MODES,
+    default: DEFAULT_GAME_MODE
+  },
+  // Modo autónomo: duración total (ms) y fecha límite, fijada al iniciar el juego
+  selfPacedDuration: {
+    type: Number,
+    default: null
+  },
+  deadline: {
+    type: Date,
+    default: null
+  },
+  // Equipos del juego; si está vacío el juego es individual
+  teams: {
+    type: [teamSchema],
+    default: []
+  },
+  // Cómo se calcula el puntaje de cada equipo a partir de sus jugadores
+  teamScoring: {
+    type: String,
+    enum: TEAM_AGGREGATIONS,
+    default: DEFAULT_TEAM_AGGREGATION
+  },
+  // Estrategia de puntuación elegida al crear el juego
+  scoringMode: {
+    type: String,
+    enum: SCORING_MODES,
+    default: DEFAULT_SCORING_MODE
+  },
+  // Pesos por componente para el modo parcial (normalizados para sumar 1)
+  scoringWeights: {
+    pictogram: Number,
+    colors: Number,
+    number: Number
+  },
+  // Reglas de puntos por pregunta (ver validationService.resolveScoringRules)
+  scoringRules: {
+    maxPoints: Number,
+    minPoints: Number,
+    decay: {
+      type: String,
+      enum: DECAY_CURVES
+    },
+    streakMultipliers: [
+      {
+        _id: false,
+        streak: Number,
+        multiplier: Number
+      }
+    ]
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  // Momento en que el juego se marcó como abandonado (sin actividad al reiniciar el servidor)
+  abandonedAt: {
+    type: Date,
+    default: null
+  },
+  // true si el host terminó el juego antes de la última pregunta
+  endedEarly: {
+    type: Boolean,
+    default: false
   }
-});
+}, { timestamps: true });
+
+// Historial de juegos finalizados ordenado por fecha
+gameSchema.index({ status: 1, finishedAt: -1, _id: -1 });
 
 const Game = mongoose.model('Game', gameSchema);
 module.exports = Game;
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Conjunto de preguntas guardado por el host para reutilizarlo
+ * (ej: "Clase 2: gases", "Repaso ADR completo")
+ */
+const questionSetSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Preguntas en el orden definido por el host
+  questions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }
+  ],
+  // Tiempo por pregunta por defecto (segundos) al crear un juego con este conjunto
+  timeLimit: {
+    type: Number,
+    default: null
+  },
+  tags: [String]
+}, { timestamps: true });
+
+questionSetSchema.index({ tags: 1 });
+
+const QuestionSet = mongoose.model('QuestionSet', questionSetSchema);
+module.exports = QuestionSet;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * Timer programado de una partida (backend de timers en MongoDB).
+ * Cualquier instancia puede ejecutarlo cuando vence; la que lo toma guarda un lease
+ * (lockedBy/lockedUntil) y, si se cae antes de terminarlo, otra lo reintenta al expirar.
+ */
+const scheduledTimerSchema = new mongoose.Schema({
+  // Clave del timer (p. ej. "question:<pin>"); programar la misma clave reemplaza el anterior
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Nombre del manejador registrado que se ejecuta al vencer
+  handler: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // Identifica cada programación, para no borrar un timer reprogramado mientras se ejecutaba
+  token: {
+    type: String,
+    required: true
+  },
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  }
+});
+
+scheduledTimerSchema.index({ runAt: 1 });
+
+const ScheduledTimer = mongoose.model('ScheduledTimer', scheduledTimerSchema);
+module.exports = ScheduledTimer;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+/**
+ * Registra la última versión aplicada de cada conjunto de datos sembrados
+ */
+const seedStateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const SeedState = mongoose.model('SeedState', seedStateSchema);
+module.exports = SeedState;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+/**
+ * Alumno persistente que permite seguir su progreso entre partidas.
+ * Se identifica por su código dentro de una clase (classCode).
+ */
+const studentSchema = new mongoose.Schema({
+  studentCode: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  classCode: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  displayName: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+studentSchema.index({ classCode: 1, studentCode: 1 }, { unique: true });
+
+const Student = mongoose.model('Student', studentSchema);
+module.exports = Student;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const analyticsController = require('../controllers/analyticsController');
+
+/**
+ * GET /api/analytics/questions?from=&to=&top=5
+ * Estadísticas por pregunta de los juegos finalizados: intentos, tasa de acierto,
+ * tiempo medio de respuesta y combinaciones incorrectas más frecuentes
+ */
+router.get('/questions', analyticsController.getQuestionAnalytics);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const catalogController = require('../controllers/catalogController');
+
+/**
+ * GET /api/catalog?lang=es|en
+ * Obtiene los pictogramas, colores y números aceptados con sus etiquetas localizadas
+ */
+router.get('/', catalogController.getCatalog);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const gameController = require('../controllers/gameController');
+
+/**
+ * GET /api/games?page=1&limit=20
+ * Lista paginada de juegos finalizados (fecha, jugadores y puntaje promedio)
+ */
+router.get('/', gameController.getFinishedGames);
+
+/**
+ * GET /api/games/:pin/results
+ * Leaderboard completo y desglose de respuestas por pregunta de un juego finalizado
+ */
+router.get('/:pin/results', gameController.getGameResults);
+
+/**
+ * GET /api/games/:pin/export/csv
+ * GET /api/games/:pin/export/xlsx
+ * Descarga el leaderboard y las respuestas de cada jugador de un juego finalizado
+ * (el XLSX separa resumen y detalle en dos hojas)
+ */
+router.get('/:pin/export/:format', gameController.exportGameResults);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const questionSetController = require('../controllers/questionSetController');
+
+/**
+ * GET /api/question-sets?tag=
+ * Lista los conjuntos de preguntas guardados (opcionalmente filtrados por etiqueta)
+ */
+router.get('/', questionSetController.getQuestionSets);
+
+/**
+ * GET /api/question-sets/:id
+ * Obtiene un conjunto con sus preguntas
+ */
+router.get('/:id', questionSetController.getQuestionSetById);
+
+/**
+ * POST /api/question-sets
+ * Crea un conjunto de preguntas
+ */
+router.post('/', questionSetController.createQuestionSet);
+
+/**
+ * PUT /api/question-sets/:id
+ * Reemplaza todos los campos de un conjunto
+ */
+router.put('/:id', questionSetController.replaceQuestionSet);
+
+/**
+ * PATCH /api/question-sets/:id
+ * Actualiza solo los campos enviados de un conjunto
+ */
+router.patch('/:id', questionSetController.patchQuestionSet);
+
+/**
+ * DELETE /api/question-sets/:id
+ * Elimina un conjunto (las preguntas no se borran)
+ */
+router.delete('/:id', questionSetController.deleteQuestionSet);
+
+module.exports = router;
@@ -8,4 +8,34 @@ const questionController = require('../controllers/questionController');
  */
 router.get('/', questionController.getAllQuestions);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/questions/:id
+ * Obtiene una pregunta por su ID
+ */
+router.get('/:id', questionController.getQuestionById);
+
+/**
+ * POST /api/questions
+ * Crea una pregunta nueva (validada contra config/constants)
+ */
+router.post('/', questionController.createQuestion);
+
+/**
+ * PUT /api/questions/:id
+ * Reemplaza todos los campos de una pregunta
+ */
+router.put('/:id', questionController.replaceQuestion);
+
+/**
+ * PATCH /api/questions/:id
+ * Actualiza solo los campos enviados de una pregunta
+ */
+router.patch('/:id', questionController.patchQuestion);
+
+/**
+ * DELETE /api/questions/:id
+ * Elimina una pregunta si ningún juego activo la utiliza
+ */
+router.delete('/:id', questionController.deleteQuestion);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const studentController = require('../controllers/studentController');
+
+/**
+ * GET /api/students?classCode=
+ * Lista los alumnos registrados (opcionalmente de una clase)
+ */
+router.get('/', studentController.getStudents);
+
+/**
+ * GET /api/students/:id/progress
+ * Precisión del alumno por clase de peligro, global y por sesión
+ */
+router.get('/:id/progress', studentController.getStudentProgress);
+
+module.exports = router;
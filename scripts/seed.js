@@ -0,0 +1,24 @@
+/**
+ * Ejecuta el sembrado de datos manualmente
+ * Uso: npm run seed [-- --reset]
+ *   --reset  Borra todas las preguntas y vuelve a sembrar las preguntas base
+ */
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const { runSeeds } = require("../services/seedService");
+
+const run = async () => {
+  const reset = process.argv.includes("--reset");
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  await runSeeds({ reset });
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error("Error al ejecutar el sembrado:", error);
+  process.exit(1);
+});
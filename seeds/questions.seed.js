@@ -0,0 +1,169 @@
+/**
+ * Preguntas base de la aplicación
+ * Cada pregunta se identifica por un slug estable para poder actualizarla sin
+ * cambiar su _id. Incrementar SEED_VERSION al modificar este archivo para que
+ * los cambios se apliquen en el siguiente arranque.
+ * Los valores usan los ids canónicos de config/vocabulary.
+ */
+const SEED_VERSION = 2;
+
+const questions = [
+  {
+    slug: "explosivos",
+    title: "Explosivos",
+    correctAnswer: {
+      pictogram: "explosivo",
+      colors: ["orange", "orange"],
+      number: 1
+    }
+  },
+  {
+    slug: "gas-oxidante",
+    title: "Gas Oxidante",
+    correctAnswer: {
+      pictogram: "oxidante",
+      colors: ["yellow", "yellow"],
+      number: 2
+    }
+  },
+  {
+    slug: "gas-inflamable",
+    title: "Gas Inflamable",
+    correctAnswer: {
+      pictogram: "fuego",
+      colors: ["red", "red"],
+      number: 2.1
+    }
+  },
+  {
+    slug: "gas-no-inflamable",
+    title: "Gas no inflamable",
+    correctAnswer: {
+      pictogram: "botella",
+      colors: ["green", "green"],
+      number: 2.2
+    }
+  },
+  {
+    slug: "gases-toxicos",
+    title: "Gases toxicos",
+    correctAnswer: {
+      pictogram: "calavera",
+      colors: ["white", "white"],
+      number: 2.3
+    }
+  },
+  {
+    slug: "liquidos-inflamables",
+    title: "Liquidos inflamables",
+    correctAnswer: {
+      pictogram: "fuego",
+      colors: ["red", "red"],
+      number: 3
+    }
+  },
+  {
+    slug: "solidos-inflamables",
+    title: "Solidos inflamables",
+    correctAnswer: {
+      pictogram: "fuego",
+      colors: ["redStripes", "redStripes"],
+      number: 4.1
+    }
+  },
+  {
+    slug: "solidos-combustion-espontanea",
+    title: "Solidos de combustion espontanea",
+    correctAnswer: {
+      pictogram: "fuego",
+      // // // colors: [color arriba, color abajo],
+      colors: ["white", "red"],
+      number: 4.2
+    }
+  },
+  {
+    slug: "solidos-reaccionan-agua",
+    title: "Solidos que reaccionan con el agua",
+    correctAnswer: {
+      pictogram: "fuego",
+      colors: ["blue", "blue"],
+      number: 4.3
+    }
+  },
+  {
+    slug: "oxidante",
+    title: "Oxidante",
+    correctAnswer: {
+      pictogram: "oxidante",
+      colors: ["yellow", "yellow"],
+      number: 5.1
+    }
+  },
+  {
+    slug: "peroxido-organico",
+    title: "Peroxido Organico",
+    correctAnswer: {
+      pictogram: "fuego",
+      colors: ["red", "yellow"],
+      number: 5.2
+    }
+  },
+  {
+    slug: "sustancias-toxicas",
+    title: "Sustancias toxicas",
+    correctAnswer: {
+      pictogram: "calavera",
+      colors: ["white", "white"],
+      number: 6.1
+    }
+  },
+  {
+    slug: "sustancia-infecciosa",
+    title: "Sustancia infecciosa",
+    correctAnswer: {
+      pictogram: "riesgoBiologico",
+      colors: ["white", "white"],
+      number: 6.2
+    }
+  },
+  {
+    slug: "radioactivos",
+    title: "Radioactivos",
+    correctAnswer: {
+      pictogram: "radioactivo",
+      colors: ["yellow", "white"],
+      number: 7
+    }
+  },
+  {
+    slug: "corrosivos",
+    title: "Corrosivos",
+    correctAnswer: {
+      pictogram: "corrosivo",
+      colors: ["white", "black"],
+      number: 8
+    }
+  },
+  {
+    slug: "miscelaneos",
+    title: "Miscelaneos",
+    correctAnswer: {
+      // Error de de pictograma, pide siempre triangulo pero no se puede omitir
+      pictogram: "triangulo",
+      colors: ["blackStripes", "white"],
+      number: 9
+    }
+  },
+  {
+    slug: "baterias-litio",
+    title: "Baterias de Litio",
+    correctAnswer: {
+      // Error de de pictograma, pide siempre  pero no se puede omitir
+      pictogram: "baterias",
+      colors: ["blackStripes", "white"],
+      number: 9
+    }
+  }
+];
+
+module.exports = { SEED_VERSION, questions };
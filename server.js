@@ -8,11 +8,18 @@ dotenv.config();
 // Importar configuraciones
 const connectDatabase = require("./config/database");
 const { setupCors } = require("./config/cors");
-const setupSocketIO = require("./config/socket");
+const { setupSocketIO, setupSocketAdapter } = require("./config/socket");
 const setupSocketHandlers = require("./socket");
+const { setupTimers } = require("./services/timerHandlers");
+const { recoverGames } = require("./services/recoveryService");
 
 // Importar rutas
 const questionsRouter = require("./routes/questions.routes");
+const questionSetsRouter = require("./routes/questionSets.routes");
+const catalogRouter = require("./routes/catalog.routes");
+const gamesRouter = require("./routes/games.routes");
+const analyticsRouter = require("./routes/analytics.routes");
+const studentsRouter = require("./routes/students.routes");
 
 // Crear aplicación Express y servidor HTTP
 const app = express();
@@ -27,6 +34,11 @@ app.use(express.json());
 
 // Rutas HTTP
 app.use('/api/questions', questionsRouter);
+app.use('/api/question-sets', questionSetsRouter);
+app.use('/api/catalog', catalogRouter);
+app.use('/api/games', gamesRouter);
+app.use('/api/analytics', analyticsRouter);
+app.use('/api/students', studentsRouter);
 
 // Configurar manejadores de Socket.IO
 setupSocketHandlers(io);
@@ -34,8 +46,13 @@ setupSocketHandlers(io);
 // Puerto
 const PORT = process.env.PORT || 5000;
 
-// Conectar a base de datos e iniciar servidor
-connectDatabase().then(() => {
+// Conectar a base de datos, preparar el adaptador de sockets y los timers de partidas,
+// recuperar los juegos que quedaron en curso e iniciar servidor
+connectDatabase().then(async () => {
+  await setupSocketAdapter(io);
+  await setupTimers(io);
+  await recoverGames(io);
+
   server.listen(PORT, '0.0.0.0', () => {
     console.log(`Servidor corriendo en puerto ${PORT}`);
     console.log(`Accesible en red local: http://192.168.1.13:${PORT}`);
@@ -0,0 +1,159 @@
+const Game = require("../models/game.model");
+const { Question } = require("../models/question.model");
+
+const DEFAULT_TOP_WRONG_ANSWERS = 5;
+
+/**
+ * Indica si una respuesta guardada está vacía (timeout o envío sin selección)
+ * @param {Object} givenAnswer - Respuesta guardada
+ * @returns {boolean} true si no tiene pictograma, colores, número, opción ni valor
+ */
+const isBlankAnswer = (givenAnswer) => {
+  if (!givenAnswer) return true;
+  const hasColors = Array.isArray(givenAnswer.colors) && givenAnswer.colors.length > 0;
+  const hasNumber = givenAnswer.number !== null && givenAnswer.number !== undefined && givenAnswer.number !== "";
+  const hasOption = givenAnswer.option !== null && givenAnswer.option !== undefined;
+  const hasValue = typeof givenAnswer.value === "boolean";
+  return !givenAnswer.pictogram && !hasColors && !hasNumber && !hasOption && !hasValue;
+};
+
+/**
+ * Clave de agrupación de una combinación incorrecta (colores sin importar el orden,
+ * igual que en la validación)
+ */
+const wrongAnswerKey = ({ pictogram, colors, number, option, value }) => JSON.stringify([
+  pictogram || "",
+  [...(colors || [])].sort(),
+  number ?? null,
+  option ?? null,
+  value ?? null
+]);
+
+/**
+ * Calcula estadísticas por pregunta a partir de las respuestas guardadas en los juegos:
+ * intentos, tasa de acierto, índice de dificultad, tiempo medio de respuesta y las
+ * combinaciones incorrectas más frecuentes (pictograma/colores/número)
+ * @param {Object} options - Filtros
+ * @param {Date} options.from - Solo juegos finalizados desde esta fecha
+ * @param {Date} options.to - Solo juegos finalizados hasta esta fecha
+ * @param {number} options.top - Número de respuestas incorrectas por pregunta
+ * @returns {Promise<Array<Object>>} Estadísticas ordenadas de la más difícil a la más fácil
+ */
+const getQuestionAnalytics = async ({ from, to, top = DEFAULT_TOP_WRONG_ANSWERS } = {}) => {
+  const match = { status: "finished" };
+  if (from || to) {
+    match.finishedAt = {};
+    if (from) match.finishedAt.$gte = from;
+    if (to) match.finishedAt.$lte = to;
+  }
+
+  const [result] = await Game.aggregate([
+    { $match: match },
+    { $unwind: "$players" },
+    { $unwind: "$players.answers" },
+    { $replaceRoot: { newRoot: "$players.answers" } },
+    {
+      $facet: {
+        stats: [
+          {
+            $group: {
+              _id: "$questionId",
+              attempts: { $sum: 1 },
+              correctCount: { $sum: { $cond: ["$isCorrect", 1, 0] } },
+              averageResponseTime: { $avg: "$responseTime" }
+            }
+          }
+        ],
+        wrong: [
+          { $match: { isCorrect: { $ne: true } } },
+          {
+            $group: {
+              _id: {
+                questionId: "$questionId",
+                pictogram: "$givenAnswer.pictogram",
+                colors: "$givenAnswer.colors",
+                number: "$givenAnswer.number",
+                option: "$givenAnswer.option",
+                value: "$givenAnswer.value"
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ]
+      }
+    }
+  ]);
+
+  if (!result || result.stats.length === 0) return [];
+
+  // Agrupar combinaciones incorrectas por pregunta (los vacíos se cuentan aparte)
+  const wrongByQuestion = new Map();
+  result.wrong.forEach(({ _id, count }) => {
+    const questionKey = _id.questionId.toString();
+    if (!wrongByQuestion.has(questionKey)) {
+      wrongByQuestion.set(questionKey, { blankCount: 0, combinations: new Map() });
+    }
+    const entry = wrongByQuestion.get(questionKey);
+
+    if (isBlankAnswer(_id)) {
+      entry.blankCount += count;
+      return;
+    }
+
+    const key = wrongAnswerKey(_id);
+    const existing = entry.combinations.get(key);
+    if (existing) {
+      existing.count += count;
+    } else {
+      entry.combinations.set(key, {
+        pictogram: _id.pictogram || "",
+        colors: [...(_id.colors || [])].sort(),
+        number: _id.number ?? null,
+        option: _id.option ?? null,
+        value: _id.value ?? null,
+        count
+      });
+    }
+  });
+
+  const questions = await Question.find(
+    { _id: { $in: result.stats.map(s => s._id) } },
+    { title: 1, type: 1, correctAnswer: 1 }
+  );
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+  return result.stats
+    .map((stat) => {
+      const key = stat._id.toString();
+      const question = questionsById.get(key);
+      const wrong = wrongByQuestion.get(key) || { blankCount: 0, combinations: new Map() };
+      const wrongAttempts = stat.attempts - stat.correctCount;
+      const correctRate = stat.attempts > 0 ? stat.correctCount / stat.attempts : 0;
+
+      return {
+        questionId: stat._id,
+        title: question ? question.title : null,
+        type: question ? question.type : null,
+        correctAnswer: question ? question.correctAnswer : null,
+        attempts: stat.attempts,
+        correctCount: stat.correctCount,
+        correctRate,
+        // Índice de dificultad: proporción de intentos fallidos (0 = fácil, 1 = difícil)
+        difficultyIndex: 1 - correctRate,
+        averageResponseTime: stat.averageResponseTime ?? null,
+        blankCount: wrong.blankCount,
+        commonWrongAnswers: Array.from(wrong.combinations.values())
+          .sort((a, b) => b.count - a.count)
+          .slice(0, top)
+          .map(combination => ({
+            ...combination,
+            share: wrongAttempts > 0 ? combination.count / wrongAttempts : 0
+          }))
+      };
+    })
+    .sort((a, b) => b.difficultyIndex - a.difficultyIndex || b.attempts - a.attempts);
+};
+
+module.exports = {
+  getQuestionAnalytics
+};
@@ -0,0 +1,155 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const ExcelJS = require("exceljs");
+const { buildGameResults } = require("./resultsService");
+const { toCsvLine } = require("../utils/csv");
+
+/**
+ * Columnas de la hoja de resumen (leaderboard)
+ */
+const SUMMARY_COLUMNS = [
+  { key: "rank", header: "Posición" },
+  { key: "username", header: "Jugador" },
+  { key: "score", header: "Puntaje" },
+  { key: "correctAnswers", header: "Correctas" },
+  { key: "totalQuestions", header: "Preguntas" },
+  { key: "totalResponseTime", header: "Tiempo total (s)" }
+];
+
+/**
+ * Columnas del detalle de respuestas (una fila por jugador y pregunta)
+ */
+const DETAIL_COLUMNS = [
+  { key: "rank", header: "Posición" },
+  { key: "username", header: "Jugador" },
+  { key: "score", header: "Puntaje total" },
+  { key: "questionNumber", header: "N° pregunta" },
+  { key: "questionTitle", header: "Pregunta" },
+  { key: "givenPictogram", header: "Pictograma" },
+  { key: "givenColors", header: "Colores" },
+  { key: "givenNumber", header: "Número" },
+  { key: "givenOption", header: "Opción" },
+  { key: "givenValue", header: "Verdadero/Falso" },
+  { key: "isCorrect", header: "Correcta" },
+  { key: "pointsAwarded", header: "Puntos" },
+  { key: "responseTime", header: "Tiempo de respuesta (s)" }
+];
+
+/**
+ * Genera las filas de detalle de un jugador recorriendo su orden de preguntas
+ * @param {Object} player - Subdocumento del jugador
+ * @param {Object} leaderboardEntry - Entrada del leaderboard del jugador
+ * @param {Map<string, Object>} questionsById - Preguntas pobladas por ID
+ * @returns {Array<Object>} Filas de detalle
+ */
+const buildPlayerDetailRows = (player, leaderboardEntry, questionsById) => {
+  const answersByQuestion = new Map(player.answers.map(a => [a.questionId.toString(), a]));
+  const questionIds = player.questionOrder.length > 0
+    ? player.questionOrder
+    : player.answers.map(a => a.questionId);
+
+  return questionIds.map((questionId, index) => {
+    const key = questionId.toString();
+    const answer = answersByQuestion.get(key);
+    const question = questionsById.get(key);
+    const given = answer ? answer.givenAnswer || {} : {};
+
+    return {
+      rank: leaderboardEntry.rank,
+      username: player.username,
+      score: leaderboardEntry.score,
+      questionNumber: index + 1,
+      questionTitle: question ? question.title : "",
+      givenPictogram: given.pictogram || "",
+      givenColors: Array.isArray(given.colors) ? given.colors.join(" | ") : "",
+      givenNumber: given.number ?? "",
+      givenOption: Number.isInteger(given.option) ? given.option + 1 : "",
+      givenValue: typeof given.value === "boolean" ? (given.value ? "Verdadero" : "Falso") : "",
+      isCorrect: answer ? (answer.isCorrect ? "Sí" : "No") : "Sin responder",
+      pointsAwarded: answer ? answer.pointsAwarded || 0 : 0,
+      responseTime: answer && Number.isFinite(answer.responseTime) ? answer.responseTime : ""
+    };
+  });
+};
+
+/**
+ * Recorre los jugadores en orden del leaderboard entregando sus filas de detalle
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Array<Object>} leaderboard - Leaderboard de buildGameResults
+ * @yields {Object} Fila de detalle
+ */
+function* playerDetailRows(game, leaderboard) {
+  const questionsById = new Map(game.questions.map(q => [q._id.toString(), q]));
+  const playersById = new Map(game.players.map(p => [p._id.toString(), p]));
+
+  for (const entry of leaderboard) {
+    const player = playersById.get(entry.playerId);
+    if (player) {
+      yield* buildPlayerDetailRows(player, entry, questionsById);
+    }
+  }
+}
+
+/**
+ * Genera las líneas del CSV de resultados: BOM, cabecera y una línea por fila de detalle
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Array<Object>} leaderboard - Leaderboard de buildGameResults
+ * @yields {string} Línea CSV
+ */
+function* csvLines(game, leaderboard) {
+  // BOM para que Excel abra el archivo en UTF-8
+  yield "\uFEFF";
+  yield toCsvLine(DETAIL_COLUMNS.map(c => c.header));
+
+  for (const row of playerDetailRows(game, leaderboard)) {
+    yield toCsvLine(DETAIL_COLUMNS.map(c => row[c.key]));
+  }
+}
+
+/**
+ * Escribe en el stream un CSV con el leaderboard y las respuestas de cada jugador.
+ * Las líneas se generan a medida que el stream las consume (respeta la contrapresión).
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Writable} stream - Stream de salida (respuesta HTTP)
+ * @returns {Promise<void>}
+ */
+const streamResultsCsv = (game, stream) => {
+  const { leaderboard } = buildGameResults(game);
+  return pipeline(Readable.from(csvLines(game, leaderboard)), stream);
+};
+
+/**
+ * Escribe en el stream un XLSX con una hoja de resumen y otra de detalle
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Writable} stream - Stream de salida (respuesta HTTP)
+ * @returns {Promise<void>}
+ */
+const streamResultsXlsx = async (game, stream) => {
+  const { leaderboard } = buildGameResults(game);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+
+  const summarySheet = workbook.addWorksheet("Resumen");
+  summarySheet.columns = SUMMARY_COLUMNS.map(c => ({ ...c, width: 18 }));
+  summarySheet.getRow(1).font = { bold: true };
+  leaderboard.forEach((entry) => {
+    summarySheet.addRow(entry).commit();
+  });
+  summarySheet.commit();
+
+  const detailSheet = workbook.addWorksheet("Detalle");
+  detailSheet.columns = DETAIL_COLUMNS.map(c => ({ ...c, width: 18 }));
+  detailSheet.getRow(1).font = { bold: true };
+  for (const row of playerDetailRows(game, leaderboard)) {
+    detailSheet.addRow(row).commit();
+  }
+  detailSheet.commit();
+
+  await workbook.commit();
+};
+
+module.exports = {
+  SUMMARY_COLUMNS,
+  DETAIL_COLUMNS,
+  streamResultsCsv,
+  streamResultsXlsx
+};
@@ -1,6 +1,99 @@
 const Game = require("../models/game.model");
-const { isAnswerCorrect } = require("./validationService");
-const { MIN_TIMEOUT_POINTS } = require("./validationService");
+const { buildPlayerResults } = require("./resultsService");
+const { buildLeaderboard, buildTeamLeaderboard } = require("./leaderboardService");
+const { cancelPlayerRemovals } = require("./playerService");
+
+/**
+ * Obtiene el tiempo límite de una pregunta dentro de un juego
+ * @param {Object} game - Documento del juego
+ * @param {Object} question - Documento de la pregunta
+ * @returns {number} Tiempo límite en milisegundos (el de la pregunta o, si no tiene, el del juego)
+ */
+const getQuestionTimeLimit = (game, question) => {
+  return question && Number.isFinite(question.timeLimit) && question.timeLimit > 0
+    ? question.timeLimit * 1000
+    : game.timeLimitPerQuestion;
+};
+
+/**
+ * Indica si el juego está en modo autónomo (cada jugador avanza a su ritmo)
+ * @param {Object} game - Documento del juego
+ * @returns {boolean}
+ */
+const isSelfPaced = (game) => game.mode === "self-paced";
+
+/**
+ * Obtiene el índice de la pregunta que está respondiendo un jugador: la ronda del
+ * juego en modo en vivo o su propio avance en modo autónomo
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {number} Índice dentro de player.questionOrder
+ */
+const getPlayerQuestionIndex = (game, player) => {
+  return isSelfPaced(game) ? player.currentQuestionIndex : game.currentQuestion;
+};
+
+/**
+ * Construye la actualización atómica que registra el timeout de un jugador en su
+ * pregunta actual. El filtro solo coincide si el jugador todavía no respondió esa
+ * pregunta, así que aplicarla dos veces (o junto a una respuesta) no duplica nada.
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {{filter: Object, update: Object}|null} null si no tiene una pregunta pendiente
+ */
+const buildTimeoutUpdate = (game, player) => {
+  // Obtener la pregunta específica del jugador según su orden aleatorio
+  const playerQuestionId = player.questionOrder[getPlayerQuestionIndex(game, player)];
+  if (!playerQuestionId) return null;
+
+  const questionId = playerQuestionId.toString();
+  if (player.answers.some(a => a.questionId.toString() === questionId)) return null;
+
+  const question = game.questions.find(q => q._id.toString() === questionId);
+  if (!question) return null;
+
+  const timeoutResponseTime = getQuestionTimeLimit(game, question) / 1000;
+
+  return {
+    filter: {
+      _id: game._id,
+      players: { $elemMatch: { _id: player._id, "answers.questionId": { $ne: question._id } } }
+    },
+    update: {
+      $push: {
+        "players.$.answers": {
+          questionId: question._id,
+          givenAnswer: { pictogram: "", colors: [], number: "" },
+          isCorrect: false,
+          pointsAwarded: 0,
+          credit: 0,
+          breakdown: { pictogram: 0, colors: 0, number: 0 },
+          responseTime: timeoutResponseTime,
+        }
+      },
+      $inc: { "players.$.totalResponseTime": timeoutResponseTime },
+      // No responder corta la racha de aciertos
+      $set: { "players.$.streak": 0 }
+    }
+  };
+};
+
+/**
+ * Avisa a la sala que un jugador se quedó sin tiempo
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const emitTimeoutAnswered = (game, player, io) => {
+  io.to(game.pin).emit("player-answered", {
+    playerId: player.id,
+    isCorrect: false,
+    pointsAwarded: 0,
+    playerScore: player.score || 0,
+    streak: 0,
+    streakBonus: 0,
+  });
+};
 
 /**
  * Registra una respuesta por timeout para un jugador específico
@@ -16,71 +109,34 @@ const registerTimeoutAnswer = async (gameId, playerId, io) => {
     const player = game.players.find(p => p.id === playerId);
     if (!player) return;
 
-    // Obtener la pregunta específica del jugador según su orden aleatorio
-    const playerQuestionId = player.questionOrder[game.currentQuestion];
-    const question = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
-
-    if (!question) return;
-
-    const currentQuestionId = question._id.toString();
-
-    let existing = player.answers.find(a => a.questionId.toString() === currentQuestionId);
-
-    const timeoutResponseTime = game.timeLimitPerQuestion / 1000;
-
-    if (existing) {
-      if (
-        !existing.isCorrect &&
-        existing.pointsAwarded === 0 &&
-        existing.givenAnswer &&
-        existing.givenAnswer.pictogram
-      ) {
-        if (isAnswerCorrect(existing.givenAnswer, question.correctAnswer)) {
-          existing.isCorrect = true;
-          existing.pointsAwarded = MIN_TIMEOUT_POINTS;
-          const previousResponseTime = Number.isFinite(existing.responseTime)
-            ? existing.responseTime
-            : 0;
-          existing.responseTime = timeoutResponseTime;
-          player.totalResponseTime = Math.max(0, (player.totalResponseTime || 0) - previousResponseTime + timeoutResponseTime);
-          player.score += MIN_TIMEOUT_POINTS;
-          player.correctAnswers += 1;
-        }
-      }
-    } else {
-      player.answers.push({
-        questionId: currentQuestionId,
-        givenAnswer: { pictogram: "", colors: [], number: "" },
-        isCorrect: false,
-        pointsAwarded: 0,
-        responseTime: timeoutResponseTime,
-      });
-      player.totalResponseTime = (player.totalResponseTime || 0) + timeoutResponseTime;
-      existing = player.answers[player.answers.length - 1];
-    }
-
-    await game.save();
+    const timeout = buildTimeoutUpdate(game, player);
+    if (!timeout) return;
 
-    io.to(game.pin).emit("player-answered", {
-      playerId: player.id,
-      isCorrect: existing.isCorrect,
-      pointsAwarded: existing.pointsAwarded,
-      playerScore: player.score,
-    });
+    const { modifiedCount } = await Game.updateOne(timeout.filter, timeout.update);
+    if (modifiedCount > 0) {
+      emitTimeoutAnswered(game, player, io);
+    }
   } catch (error) {
     console.error("Error al registrar timeout:", error);
   }
 };
 
 /**
- * Procesa los timeouts de todos los jugadores en un juego
- * @param {Object} game - Documento del juego
+ * Procesa los timeouts de todos los jugadores en un juego con una sola escritura
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
  * @param {Object} io - Instancia de Socket.IO
  */
 const processTimeouts = async (game, io) => {
-  const currentPlayers = game.players.map(p => p.id);
-  for (const playerId of currentPlayers) {
-    await registerTimeoutAnswer(game._id, playerId, io);
+  const timeouts = game.players
+    .map(player => ({ player, timeout: buildTimeoutUpdate(game, player) }))
+    .filter(({ timeout }) => timeout);
+  if (timeouts.length === 0) return;
+
+  try {
+    await Game.bulkWrite(timeouts.map(({ timeout }) => ({ updateOne: timeout })), { ordered: false });
+    timeouts.forEach(({ player }) => emitTimeoutAnswered(game, player, io));
+  } catch (error) {
+    console.error("Error al registrar timeouts:", error);
   }
 };
 
@@ -94,8 +150,12 @@ const haveAllPlayersAnswered = (game) => {
     return false;
   }
 
+  // Los jugadores desconectados no bloquean la ronda (el timer la cerrará igualmente)
+  const connectedPlayers = game.players.filter(player => player.connected !== false);
+  if (connectedPlayers.length === 0) return false;
+
   // Verificar que cada jugador haya respondido su pregunta específica de la ronda actual
-  return game.players.every(player => {
+  return connectedPlayers.every(player => {
     // Obtener la pregunta que le tocó al jugador en esta ronda
     const playerQuestionId = player.questionOrder[game.currentQuestion];
 
@@ -105,50 +165,38 @@ const haveAllPlayersAnswered = (game) => {
 };
 
 /**
- * Finaliza el juego y emite los resultados a todos los jugadores
+ * Finaliza el juego, guarda la fecha de finalización y emite los resultados a todos los jugadores.
+ * Los resultados quedan en el documento y se consultan en GET /api/games/:pin/results.
+ * Si el juego ya estaba finalizado no hace nada (p. ej. el host lo terminó antes de la última ronda).
  * @param {Object} game - Documento del juego
  * @param {string} pin - PIN del juego
  * @param {Object} io - Instancia de Socket.IO
+ * @param {Object} options - Opciones
+ * @param {boolean} options.endedEarly - true si el host terminó el juego antes de tiempo
+ * @returns {Promise<boolean>} true si el juego se finalizó en esta llamada
  */
-const endGame = async (game, pin, io) => {
-  game.status = "finished";
-  await game.save();
-
-  const updatedGame = await Game.findById(game._id);
-  const totalQuestions = updatedGame.questions.length;
-
-  const results = updatedGame.players.map(player => {
-    const normalizedScore = Number.isFinite(player.score)
-      ? player.score
-      : Number(player.score) || 0;
-
-    const normalizedCorrect = Number.isFinite(player.correctAnswers)
-      ? player.correctAnswers
-      : Number(player.correctAnswers) || 0;
-
-    const normalizedResponseTime = Number.isFinite(player.totalResponseTime)
-      ? player.totalResponseTime
-      : Number(player.totalResponseTime) || 0;
-
-    const playerQuestionCount = Array.isArray(player.questionOrder) && player.questionOrder.length > 0
-      ? player.questionOrder.length
-      : totalQuestions;
-
-    return {
-      username: player.username,
-      score: normalizedScore,
-      correctAnswers: normalizedCorrect,
-      totalQuestions: playerQuestionCount,
-      character: player.character || null,
-      totalResponseTime: normalizedResponseTime
-    };
-  });
+const endGame = async (game, pin, io, { endedEarly = false } = {}) => {
+  const updatedGame = await Game.findOneAndUpdate(
+    { _id: game._id, status: { $nin: ["finished", "abandoned"] } },
+    { $set: { status: "finished", finishedAt: new Date(), pausedAt: null, endedEarly } },
+    { new: true }
+  );
+  if (!updatedGame) return false;
+
+  await cancelPlayerRemovals(updatedGame);
+
+  // Resultados ordenados con posición (los empates comparten puesto)
+  const results = buildLeaderboard(updatedGame, buildPlayerResults(updatedGame));
 
   console.log("Resultados finales enviados desde el backend:", results);
-  io.to(pin).emit("game-ended", { results });
+  io.to(pin).emit("game-ended", { results, teams: buildTeamLeaderboard(updatedGame), endedEarly });
+  return true;
 };
 
 module.exports = {
+  isSelfPaced,
+  getPlayerQuestionIndex,
+  getQuestionTimeLimit,
   registerTimeoutAnswer,
   processTimeouts,
   haveAllPlayersAnswered,
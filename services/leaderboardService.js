@@ -0,0 +1,133 @@
+const { toPublicPlayer } = require("./playerService");
+
+/**
+ * Ordena por puntaje, respuestas correctas y tiempo total de respuesta
+ */
+const compareEntries = (a, b) => {
+  if (b.score !== a.score) return b.score - a.score;
+  if (b.correctAnswers !== a.correctAnswers) return b.correctAnswers - a.correctAnswers;
+  return a.totalResponseTime - b.totalResponseTime;
+};
+
+/**
+ * Ordena las entradas y les asigna su posición. Las entradas empatadas en los tres
+ * criterios comparten posición y la siguiente salta los puestos ocupados (1, 2, 2, 4).
+ * @param {Array<Object>} entries - Entradas con score, correctAnswers y totalResponseTime
+ * @returns {Array<Object>} Entradas ordenadas con su rank
+ */
+const rankEntries = (entries) => {
+  const sorted = entries
+    .map(entry => ({
+      ...entry,
+      score: entry.score || 0,
+      correctAnswers: entry.correctAnswers || 0,
+      totalResponseTime: entry.totalResponseTime || 0
+    }))
+    .sort(compareEntries);
+
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    if (index === 0 || compareEntries(sorted[index - 1], entry) !== 0) {
+      rank = index + 1;
+    }
+    return { rank, ...entry };
+  });
+};
+
+/**
+ * Obtiene la posición que tenía un jugador al empezar la ronda actual
+ * @param {Object} game - Documento del juego
+ * @param {string} playerId - ID estable del jugador (player._id)
+ * @returns {number|null} Posición anterior o null si no estaba en el ranking
+ */
+const getPreviousRank = (game, playerId) => {
+  const snapshot = game.rankSnapshot;
+  if (!snapshot) return null;
+  const previousRank = snapshot instanceof Map ? snapshot.get(playerId) : snapshot[playerId];
+  return Number.isFinite(previousRank) ? previousRank : null;
+};
+
+/**
+ * Construye el ranking individual con posiciones (con empates) y el cambio de
+ * posición desde la ronda anterior (delta > 0 si subió)
+ * @param {Object} game - Documento del juego
+ * @param {Array<Object>} entries - Entradas con playerId (por defecto, los jugadores públicos)
+ * @returns {Array<Object>} Ranking ordenado
+ */
+const buildLeaderboard = (game, entries) => {
+  const rankingEntries = entries || game.players.map(player => ({
+    playerId: player._id.toString(),
+    ...toPublicPlayer(player)
+  }));
+
+  return rankEntries(rankingEntries).map((entry) => {
+    const previousRank = getPreviousRank(game, entry.playerId);
+    return {
+      ...entry,
+      previousRank,
+      delta: previousRank === null ? null : previousRank - entry.rank
+    };
+  });
+};
+
+/**
+ * Guarda la posición actual de cada jugador para calcular los cambios de la próxima ronda
+ * @param {Object} game - Documento del juego
+ * @returns {Object} Posiciones por ID de jugador (para game.rankSnapshot)
+ */
+const snapshotRanks = (game) => {
+  const snapshot = {};
+  buildLeaderboard(game).forEach((entry) => {
+    snapshot[entry.playerId] = entry.rank;
+  });
+  return snapshot;
+};
+
+/**
+ * Construye el leaderboard por equipos agregando el puntaje de sus jugadores
+ * según game.teamScoring (suma o promedio)
+ * @param {Object} game - Documento del juego
+ * @returns {Array<Object>} Equipos ordenados por puntaje (vacío si el juego es individual)
+ */
+const buildTeamLeaderboard = (game) => {
+  if (!Array.isArray(game.teams) || game.teams.length === 0) return [];
+
+  return rankEntries(game.teams.map((team) => {
+    const key = team._id.toString();
+    const members = game.players.filter(p => p.teamId && p.teamId.toString() === key);
+    const totalScore = members.reduce((sum, p) => sum + (p.score || 0), 0);
+    const score = game.teamScoring === "average"
+      ? (members.length > 0 ? Math.round(totalScore / members.length) : 0)
+      : totalScore;
+
+    return {
+      id: key,
+      name: team.name,
+      score,
+      correctAnswers: members.reduce((sum, p) => sum + (p.correctAnswers || 0), 0),
+      totalResponseTime: members.reduce((sum, p) => sum + (p.totalResponseTime || 0), 0),
+      playerCount: members.length
+    };
+  }));
+};
+
+/**
+ * Emite el ranking actualizado (individual y por equipos) a toda la sala
+ * @param {Object} game - Documento del juego
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const emitRanking = (game, io) => {
+  io.to(game.pin).emit("ranking-updated", {
+    players: buildLeaderboard(game),
+    teams: buildTeamLeaderboard(game)
+  });
+};
+
+module.exports = {
+  compareEntries,
+  rankEntries,
+  buildLeaderboard,
+  snapshotRanks,
+  buildTeamLeaderboard,
+  emitRanking
+};
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { rankEntries, buildLeaderboard, snapshotRanks } = require("./leaderboardService");
+
+const entry = (id, score, correctAnswers = 0, totalResponseTime = 0) => ({
+  playerId: id,
+  score,
+  correctAnswers,
+  totalResponseTime
+});
+
+const ranks = (leaderboard) => leaderboard.map(e => [e.playerId, e.rank]);
+
+describe("rankEntries", () => {
+  it("ordena por puntaje, luego por respuestas correctas y luego por menor tiempo", () => {
+    const ranked = rankEntries([
+      entry("a", 100, 2, 20),
+      entry("b", 300, 3, 30),
+      entry("c", 100, 3, 40),
+      entry("d", 100, 3, 10)
+    ]);
+    assert.deepEqual(ranks(ranked), [["b", 1], ["d", 2], ["c", 3], ["a", 4]]);
+  });
+
+  it("los empatados en los tres criterios comparten posición y la siguiente salta puestos", () => {
+    const ranked = rankEntries([
+      entry("a", 100, 2, 20),
+      entry("b", 200, 3, 15),
+      entry("c", 100, 2, 20),
+      entry("d", 50, 1, 5)
+    ]);
+    assert.deepEqual(ranked.map(e => e.rank), [1, 2, 2, 4]);
+    assert.equal(ranked[3].playerId, "d");
+  });
+
+  it("trata los campos que faltan como 0", () => {
+    const ranked = rankEntries([{ playerId: "a" }, entry("b", 0, 0, 0)]);
+    assert.deepEqual(ranked.map(e => e.rank), [1, 1]);
+    assert.equal(ranked[0].score, 0);
+  });
+});
+
+describe("buildLeaderboard", () => {
+  const entries = [entry("a", 100), entry("b", 300), entry("c", 200)];
+
+  it("calcula el cambio de posición desde la ronda anterior (positivo si subió)", () => {
+    const game = { rankSnapshot: new Map([["a", 1], ["b", 3], ["c", 2]]) };
+    const leaderboard = buildLeaderboard(game, entries);
+
+    assert.deepEqual(
+      leaderboard.map(e => [e.playerId, e.rank, e.previousRank, e.delta]),
+      [["b", 1, 3, 2], ["c", 2, 2, 0], ["a", 3, 1, -2]]
+    );
+  });
+
+  it("acepta la foto de posiciones como objeto plano", () => {
+    const leaderboard = buildLeaderboard({ rankSnapshot: { a: 2 } }, entries);
+    assert.equal(leaderboard.find(e => e.playerId === "a").delta, -1);
+  });
+
+  it("no hay cambio de posición para quien no estaba en el ranking anterior", () => {
+    const leaderboard = buildLeaderboard({ rankSnapshot: new Map([["b", 1]]) }, entries);
+    const newcomer = leaderboard.find(e => e.playerId === "c");
+    assert.equal(newcomer.previousRank, null);
+    assert.equal(newcomer.delta, null);
+    assert.equal(buildLeaderboard({}, entries)[0].delta, null);
+  });
+});
+
+describe("snapshotRanks", () => {
+  it("guarda la posición de cada jugador por su ID estable", () => {
+    const game = {
+      players: [
+        { _id: "p1", id: "socket-1", username: "ana", score: 50 },
+        { _id: "p2", id: "socket-2", username: "luis", score: 80 },
+        { _id: "p3", id: "socket-3", username: "eva", score: 50 }
+      ]
+    };
+    assert.deepEqual(snapshotRanks(game), { p2: 1, p1: 2, p3: 2 });
+  });
+});
@@ -0,0 +1,56 @@
+const Game = require("../models/game.model");
+const generatePin = require("../utils/generatePin");
+
+const MAX_PIN_ATTEMPTS = 10;
+
+/**
+ * Normaliza el PIN que escribe un jugador (espacios y minúsculas)
+ * @param {string} pin - PIN recibido
+ * @returns {string} PIN normalizado
+ */
+const normalizePin = (pin) => String(pin ?? "").trim().toUpperCase();
+
+/**
+ * Indica si un error de Mongo es una colisión del índice único de PIN
+ * @param {Error} error - Error de guardado
+ * @returns {boolean} true si el PIN ya existía
+ */
+const isDuplicatePinError = (error) => {
+  return error && error.code === 11000 && Boolean(error.keyPattern?.pin || error.keyValue?.pin);
+};
+
+/**
+ * Asigna un PIN único al juego y lo guarda.
+ * Reintenta si el PIN ya está en uso (comprobación previa o colisión del índice
+ * único por una creación simultánea).
+ * @param {Object} game - Documento del juego sin guardar
+ * @param {Object} options - Opciones del PIN
+ * @param {string} options.format - "alphanumeric" o "numeric"
+ * @returns {Promise<string>} PIN asignado
+ */
+const saveGameWithUniquePin = async (game, { format } = {}) => {
+  for (let attempt = 1; attempt <= MAX_PIN_ATTEMPTS; attempt++) {
+    const pin = generatePin({ format });
+
+    // El índice de PIN es único en toda la colección, no solo en juegos activos
+    if (await Game.exists({ pin })) {
+      continue;
+    }
+
+    game.pin = pin;
+    try {
+      await game.save();
+      return pin;
+    } catch (error) {
+      if (!isDuplicatePinError(error)) throw error;
+      console.log(`⚠️ Colisión de PIN ${pin}, reintentando (${attempt}/${MAX_PIN_ATTEMPTS})...`);
+    }
+  }
+
+  throw new Error("No se pudo generar un PIN único, inténtalo de nuevo");
+};
+
+module.exports = {
+  normalizePin,
+  saveGameWithUniquePin
+};
@@ -0,0 +1,103 @@
+const Game = require("../models/game.model");
+const { PLAYER_RECONNECT_GRACE_TIME, TIMER_HANDLERS } = require("../config/constants");
+const { setPlayerTimer, clearPlayerTimer, clearPlayerQuestionTimer } = require("../utils/timer");
+
+/**
+ * Proyecta un jugador a la forma pública que se envía a la sala
+ * (sin token de sesión, orden de preguntas ni respuestas)
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {Object} Datos públicos del jugador
+ */
+const toPublicPlayer = (player) => ({
+  id: player.id,
+  username: player.username,
+  score: player.score || 0,
+  correctAnswers: player.correctAnswers || 0,
+  totalResponseTime: player.totalResponseTime || 0,
+  character: player.character || null,
+  teamId: player.teamId || null,
+  connected: player.connected !== false
+});
+
+/**
+ * Proyecta la lista de jugadores de un juego
+ * @param {Array} players - Jugadores del juego
+ * @returns {Array} Jugadores públicos
+ */
+const toPublicPlayers = (players) => players.map(toPublicPlayer);
+
+/**
+ * Elimina a un jugador que sigue desconectado al terminar su periodo de gracia
+ * @param {string} gameId - ID del juego
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const removeDisconnectedPlayer = async (gameId, sessionToken, io) => {
+  // Se obtiene el documento previo para saber a quién se eliminó
+  const game = await Game.findOneAndUpdate(
+    {
+      _id: gameId,
+      // Los jugadores de un juego terminado se conservan para los resultados
+      status: { $nin: ["finished", "abandoned"] },
+      players: { $elemMatch: { sessionToken, connected: false } }
+    },
+    { $pull: { players: { sessionToken, connected: false } } }
+  );
+  if (!game) return;
+  await clearPlayerQuestionTimer(sessionToken);
+
+  const removed = game.players.find(p => p.sessionToken === sessionToken);
+  const remaining = game.players.filter(p => p.sessionToken !== sessionToken);
+
+  io.to(game.pin).emit("player-left", {
+    playerId: removed.id,
+    players: toPublicPlayers(remaining),
+  });
+
+  io.to(game.pin).emit("players-updated", {
+    players: toPublicPlayers(remaining)
+  });
+
+  console.log(`Jugador ${removed.username} eliminado del juego ${game.pin} tras no reconectarse`);
+};
+
+/**
+ * Programa la eliminación de un jugador desconectado cuando termina el periodo de gracia.
+ * Si el jugador se reconecta antes (rejoin-player) se cancela.
+ * @param {string} gameId - ID del juego
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @returns {Promise<void>}
+ */
+const schedulePlayerRemoval = (gameId, sessionToken) => {
+  return setPlayerTimer(sessionToken, TIMER_HANDLERS.REMOVE_PLAYER, PLAYER_RECONNECT_GRACE_TIME, {
+    gameId: gameId.toString(),
+    sessionToken
+  });
+};
+
+/**
+ * Cancela la eliminación programada de un jugador
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @returns {Promise<void>}
+ */
+const cancelPlayerRemoval = (sessionToken) => clearPlayerTimer(sessionToken);
+
+/**
+ * Cancela la eliminación programada de todos los jugadores de un juego
+ * @param {Object} game - Documento del juego
+ * @returns {Promise<void>}
+ */
+const cancelPlayerRemovals = async (game) => {
+  await Promise.all(game.players
+    .filter(player => player.sessionToken)
+    .map(player => cancelPlayerRemoval(player.sessionToken)));
+};
+
+module.exports = {
+  toPublicPlayer,
+  toPublicPlayers,
+  removeDisconnectedPlayer,
+  schedulePlayerRemoval,
+  cancelPlayerRemoval,
+  cancelPlayerRemovals
+};
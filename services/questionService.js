@@ -1,6 +1,298 @@
 const Game = require("../models/game.model");
-const { processTimeouts } = require("./gameService");
-const { setQuestionTimer, deleteQuestionTimer } = require("../utils/timer");
+const {
+  processTimeouts,
+  getQuestionTimeLimit,
+  isSelfPaced,
+  getPlayerQuestionIndex
+} = require("./gameService");
+const { setQuestionTimer } = require("../utils/timer");
+const { emitRanking, snapshotRanks } = require("./leaderboardService");
+const {
+  RESULTS_DISPLAY_TIME,
+  DEFAULT_QUESTION_TYPE,
+  ANSWER_GRACE_TIME,
+  TIMER_HANDLERS
+} = require("../config/constants");
+
+/**
+ * Proyecta una pregunta a la forma segura para enviar a los jugadores
+ * (sin la respuesta correcta)
+ * @param {Object} question - Documento de la pregunta
+ * @returns {Object|null} Pregunta sin correctAnswer
+ */
+const toPlayerQuestion = (question) => {
+  if (!question) return null;
+
+  const type = question.type || DEFAULT_QUESTION_TYPE;
+  const playerQuestion = {
+    _id: question._id,
+    type,
+    title: question.title
+  };
+
+  if (question.prompt) playerQuestion.prompt = question.prompt;
+
+  // En identify-number la etiqueta se muestra sin el número, que es lo que se pregunta
+  if (question.label && question.label.pictogram) {
+    playerQuestion.label = {
+      pictogram: question.label.pictogram,
+      colors: question.label.colors ? [...question.label.colors] : []
+    };
+    if (type !== "identify-number" && question.label.number) {
+      playerQuestion.label.number = question.label.number;
+    }
+  }
+
+  if (type === "multiple-choice") {
+    playerQuestion.options = question.options ? [...question.options] : [];
+  }
+
+  return playerQuestion;
+};
+
+/**
+ * Obtiene la pregunta que le corresponde a un jugador en una ronda
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} player - Subdocumento del jugador
+ * @param {number} questionIndex - Índice de la ronda
+ * @returns {Object|null} Documento de la pregunta o null
+ */
+const getPlayerRoundQuestion = (game, player, questionIndex) => {
+  const playerQuestionId = player.questionOrder[questionIndex];
+  if (!playerQuestionId) return null;
+
+  return game.questions.find(q => q._id.toString() === playerQuestionId.toString()) || null;
+};
+
+/**
+ * Calcula el tiempo transcurrido de la ronda actual. Con el juego en pausa el
+ * tiempo queda congelado en el momento de la pausa. En modo autónomo cada
+ * jugador cuenta desde que recibió su propia pregunta.
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador (necesario en modo autónomo)
+ * @returns {number} Milisegundos transcurridos desde el inicio de la pregunta
+ */
+const getRoundTimeElapsed = (game, player) => {
+  const now = game.status === "paused" && game.pausedAt
+    ? new Date(game.pausedAt).getTime()
+    : Date.now();
+  const startTime = isSelfPaced(game) && player ? player.questionStartTime : game.questionStartTime;
+  return Math.max(0, now - (startTime || now));
+};
+
+/**
+ * Calcula en el servidor cuánto lleva un jugador con su pregunta actual desde que la
+ * recibió. En vivo se descuenta la entrega tardía (unión tardía o get-current-question);
+ * en modo autónomo cuenta desde que recibió su propia pregunta.
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {number} Milisegundos desde la entrega
+ */
+const getPlayerResponseElapsed = (game, player) => {
+  const elapsed = getRoundTimeElapsed(game, player);
+  if (isSelfPaced(game)) return elapsed;
+
+  const delivery = player.questionDelivery;
+  const offset = delivery && delivery.round === game.currentQuestion ? delivery.offset || 0 : 0;
+  return Math.max(0, elapsed - offset);
+};
+
+/**
+ * Calcula cuánto después del límite de su pregunta llega una respuesta ahora mismo
+ * (negativo si llega a tiempo). En modo autónomo también cuenta la fecha límite del juego.
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @param {Object} question - Pregunta actual del jugador
+ * @returns {number} Milisegundos de retraso
+ */
+const getAnswerOverrun = (game, player, question) => {
+  const overrun = getRoundTimeElapsed(game, player) - getQuestionTimeLimit(game, question);
+  if (isSelfPaced(game) && game.deadline) {
+    return Math.max(overrun, Date.now() - new Date(game.deadline).getTime());
+  }
+  return overrun;
+};
+
+/**
+ * Registra cuándo recibió un jugador la pregunta de la ronda actual, si todavía no la
+ * había recibido. Solo cuenta la primera entrega: volver a pedir la pregunta no reinicia
+ * su tiempo de respuesta. En modo autónomo la entrega ya la marca player.questionStartTime.
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {Promise<void>}
+ */
+const recordQuestionDelivery = async (game, player) => {
+  if (isSelfPaced(game)) return;
+
+  await Game.updateOne(
+    {
+      _id: game._id,
+      currentQuestion: game.currentQuestion,
+      players: { $elemMatch: { _id: player._id, "questionDelivery.round": { $ne: game.currentQuestion } } }
+    },
+    { $set: { "players.$.questionDelivery": { round: game.currentQuestion, offset: getRoundTimeElapsed(game) } } }
+  );
+};
+
+/**
+ * Calcula el tiempo que le queda a la ronda actual antes de cerrarse
+ * @param {Object} game - Documento del juego
+ * @returns {number} Milisegundos restantes
+ */
+const getRoundTimeRemaining = (game) => {
+  const roundTimeLimit = game.roundTimeLimit || game.timeLimitPerQuestion;
+  return Math.max(0, roundTimeLimit - getRoundTimeElapsed(game));
+};
+
+/**
+ * Calcula el tiempo que le queda a un jugador para responder su pregunta actual
+ * (en modo autónomo nunca supera la fecha límite del juego)
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @param {Object} question - Pregunta actual del jugador
+ * @returns {number} Milisegundos restantes
+ */
+const getPlayerTimeLeft = (game, player, question) => {
+  const timeLeft = getQuestionTimeLimit(game, question) - getRoundTimeElapsed(game, player);
+  if (isSelfPaced(game) && game.deadline) {
+    return Math.max(0, Math.min(timeLeft, new Date(game.deadline).getTime() - Date.now()));
+  }
+  return Math.max(0, timeLeft);
+};
+
+/**
+ * Obtiene la pregunta que un jugador debe estar respondiendo y su tiempo restante
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} player - Subdocumento del jugador
+ * @returns {Object|null} {question, timeLeft, paused, currentIndex, totalQuestions} o null si no hay pregunta activa
+ */
+const getPlayerQuestionState = (game, player) => {
+  if (!["playing", "paused"].includes(game.status) || game.roundPhase === "results") return null;
+
+  const questionIndex = getPlayerQuestionIndex(game, player);
+  if (questionIndex < 0 || questionIndex >= game.questions.length) return null;
+
+  const question = getPlayerRoundQuestion(game, player, questionIndex);
+  if (!question) return null;
+
+  const timeLeft = Math.floor(getPlayerTimeLeft(game, player, question) / 1000);
+  if (timeLeft <= 0) return null;
+
+  return {
+    question: toPlayerQuestion(question),
+    timeLeft,
+    paused: game.status === "paused",
+    currentIndex: questionIndex + 1,
+    totalQuestions: game.questions.length
+  };
+};
+
+/**
+ * Emite a cada jugador los resultados de la ronda indicada: respuesta correcta,
+ * respuesta enviada por el jugador y puntos obtenidos
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {number} questionIndex - Índice de la ronda que se cerró
+ * @param {Object} io - Instancia de Socket.IO
+ * @param {number} displayTime - Milisegundos que se muestran los resultados
+ */
+const emitQuestionResults = (game, questionIndex, io, displayTime = RESULTS_DISPLAY_TIME) => {
+  game.players.forEach((player) => {
+    const question = getPlayerRoundQuestion(game, player, questionIndex);
+    if (!question) return;
+
+    const answer = player.answers.find(a => a.questionId.toString() === question._id.toString());
+
+    io.to(player.id).emit("question-results", {
+      questionId: question._id,
+      type: question.type || DEFAULT_QUESTION_TYPE,
+      title: question.title,
+      options: question.options,
+      correctAnswer: question.correctAnswer,
+      givenAnswer: answer ? answer.givenAnswer : null,
+      isCorrect: answer ? Boolean(answer.isCorrect) : false,
+      pointsAwarded: answer ? answer.pointsAwarded || 0 : 0,
+      credit: answer ? answer.credit || 0 : 0,
+      breakdown: answer ? answer.breakdown : null,
+      playerScore: player.score || 0,
+      currentIndex: questionIndex + 1,
+      totalQuestions: game.questions.length,
+      displayTime: Math.ceil(displayTime / 1000)
+    });
+  });
+};
+
+/**
+ * Pasa a la siguiente ronda al terminar de mostrar los resultados. Solo avanza si el
+ * juego sigue en los resultados de la ronda indicada, para no saltar rondas si el
+ * timer se ejecuta dos veces. La ronda empieza cuando emitQuestion fija su inicio;
+ * hasta entonces (sin questionStartTime) no se puede pausar.
+ * @param {string} gameId - ID del juego
+ * @param {number} fromQuestion - Ronda cuyos resultados se estaban mostrando
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const advanceRound = async (gameId, fromQuestion, io) => {
+  const nextGame = await Game.findOneAndUpdate(
+    { _id: gameId, status: "playing", roundPhase: "results", currentQuestion: fromQuestion },
+    { $inc: { currentQuestion: 1 }, $set: { roundPhase: "question", questionStartTime: null } },
+    { new: true }
+  ).populate("questions");
+
+  if (nextGame) {
+    await emitQuestion(nextGame, nextGame.currentQuestion, io);
+  }
+};
+
+/**
+ * Cierra la ronda actual (por tiempo, porque todos respondieron o por salto del host):
+ * pasa el juego a la fase de resultados, con lo que se rechazan nuevas respuestas de la
+ * ronda, registra los timeouts de quienes no respondieron, actualiza el ranking, revela
+ * las respuestas y programa el paso a la siguiente ronda tras RESULTS_DISPLAY_TIME
+ * @param {string} gameId - ID del juego
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const closeRound = async (gameId, io) => {
+  // Solo la primera llamada cierra la ronda
+  const game = await Game.findOneAndUpdate(
+    { _id: gameId, status: "playing", roundPhase: { $ne: "results" } },
+    { $set: { roundPhase: "results", roundClosedAt: Date.now() } },
+    { new: true }
+  ).populate("questions");
+
+  if (!game) return;
+
+  await processTimeouts(game, io);
+  await showRoundResults(gameId, io, RESULTS_DISPLAY_TIME);
+};
+
+/**
+ * Muestra los resultados de la ronda cerrada (ranking y respuestas) y programa el
+ * paso a la siguiente ronda cuando termina el tiempo de resultados
+ * @param {string} gameId - ID del juego
+ * @param {Object} io - Instancia de Socket.IO
+ * @param {number} displayTime - Milisegundos que se muestran los resultados
+ */
+const showRoundResults = async (gameId, io, displayTime) => {
+  const closedGame = await Game.findById(gameId).populate("questions");
+  emitRanking(closedGame, io);
+  emitQuestionResults(closedGame, closedGame.currentQuestion, io, displayTime);
+
+  await setQuestionTimer(closedGame.pin, TIMER_HANDLERS.NEXT_ROUND, displayTime, {
+    gameId: closedGame._id.toString(),
+    fromQuestion: closedGame.currentQuestion
+  });
+};
+
+/**
+ * Programa el cierre de la ronda actual (reemplaza el timer anterior del juego).
+ * Se cierra ANSWER_GRACE_TIME después del límite para aceptar las respuestas en tránsito.
+ * @param {Object} game - Documento del juego
+ * @param {number} delay - Milisegundos hasta el límite de la ronda
+ */
+const startRoundTimer = (game, delay) => {
+  return setQuestionTimer(game.pin, TIMER_HANDLERS.CLOSE_ROUND, delay + ANSWER_GRACE_TIME, {
+    gameId: game._id.toString()
+  });
+};
 
 /**
  * Emite una pregunta individual a cada jugador según su orden aleatorio
@@ -8,93 +300,73 @@ const { setQuestionTimer, deleteQuestionTimer } = require("../utils/timer");
  * @param {Object} game - Documento del juego
  * @param {number} questionIndex - Índice de la ronda (no la pregunta específica)
  * @param {Object} io - Instancia de Socket.IO
- * @param {Function} endGameCallback - Función para finalizar el juego
  */
-const emitQuestion = async (game, questionIndex, io, endGameCallback) => {
+const emitQuestion = async (game, questionIndex, io) => {
   if (questionIndex >= game.questions.length) {
-    setTimeout(() => endGameCallback(game, game.pin, io), 1000);
+    await setQuestionTimer(game.pin, TIMER_HANDLERS.FINISH_GAME, 1000, { gameId: game._id.toString() });
     return;
   }
 
-  await Game.findByIdAndUpdate(
-    game._id,
-    { $set: { questionStartTime: Date.now() } }
+  // La ronda dura lo que la pregunta más larga entre las que recibe cada jugador
+  const roundTimeLimit = game.players.reduce((max, player) => {
+    const question = getPlayerRoundQuestion(game, player, questionIndex);
+    return question ? Math.max(max, getQuestionTimeLimit(game, question)) : max;
+  }, 0) || game.timeLimitPerQuestion;
+
+  // Si el host terminó o pausó el juego mientras tanto, no se emite la pregunta
+  const startedGame = await Game.findOneAndUpdate(
+    { _id: game._id, status: "playing" },
+    {
+      $set: {
+        roundPhase: "question",
+        questionStartTime: Date.now(),
+        roundTimeLimit,
+        rankSnapshot: snapshotRanks(game),
+        // Todos los jugadores en la sala reciben la pregunta al inicio de la ronda
+        "players.$[].questionDelivery": { round: questionIndex, offset: 0 }
+      }
+    }
   );
+  if (!startedGame) return;
+
+  // Ranking al empezar la ronda (los cambios de posición se miden contra la ronda anterior)
+  emitRanking(game, io);
 
   // Emitir pregunta individual a cada jugador según su orden aleatorio
   game.players.forEach((player) => {
-
-    io.to(game.pin).emit("ranking-updated", {
-      players: game.players
-        .map(p => ({
-          id: p.id,
-          username: p.username,
-          score: p.score || 0,
-          correctAnswers: p.correctAnswers || 0,
-          totalResponseTime: p.totalResponseTime || 0,
-          character: p.character
-        }))
-        .sort((a, b) => {
-          if (b.score !== a.score) return b.score - a.score;
-          if (b.correctAnswers !== a.correctAnswers) return b.correctAnswers - a.correctAnswers;
-          return a.totalResponseTime - b.totalResponseTime;
-        })
-    });
     // Obtener la pregunta correspondiente al índice actual del jugador
-    const playerQuestionId = player.questionOrder[questionIndex];
-    const playerQuestion = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
+    const playerQuestion = getPlayerRoundQuestion(game, player, questionIndex);
 
     if (playerQuestion) {
-      // Encontrar el socket del jugador y emitirle su pregunta única
-      const playerSocket = io.sockets.sockets.get(player.id);
-      if (playerSocket) {
-        playerSocket.emit("game-started", {
-          question: playerQuestion,
-          timeLimit: game.timeLimitPerQuestion / 1000,
-          currentIndex: questionIndex + 1,
-          totalQuestions: game.questions.length,
-        });
-
-        console.log(`📤 Jugador ${player.username} recibió pregunta: ${playerQuestion.title}`);
-      }
-    }
-  });
-
-  const timer = setTimeout(async () => {
-    const updatedGame = await Game.findById(game._id).populate("questions");
-    if (updatedGame && updatedGame.status === "playing") {
-      await processTimeouts(updatedGame, io);
-
-      const refreshedGame = await Game.findById(updatedGame._id);
-      io.to(refreshedGame.pin).emit("ranking-updated", {
-        players: refreshedGame.players
-          .map(p => ({
-            id: p.id,
-            username: p.username,
-            score: p.score || 0,
-            correctAnswers: p.correctAnswers || 0,
-            totalResponseTime: p.totalResponseTime || 0,
-            character: p.character
-          }))
-          .sort((a, b) => {
-            if (b.score !== a.score) return b.score - a.score;
-            if (b.correctAnswers !== a.correctAnswers) return b.correctAnswers - a.correctAnswers;
-            return a.totalResponseTime - b.totalResponseTime;
-          })
+      // Emitir al socket del jugador su pregunta única (en la instancia donde esté conectado)
+      io.to(player.id).emit("game-started", {
+        question: toPlayerQuestion(playerQuestion),
+        timeLimit: getQuestionTimeLimit(game, playerQuestion) / 1000,
+        currentIndex: questionIndex + 1,
+        totalQuestions: game.questions.length,
       });
-      const nextGame = await Game.findByIdAndUpdate(
-        updatedGame._id,
-        { $inc: { currentQuestion: 1 }, $set: { questionStartTime: Date.now() } },
-        { new: true }
-      ).populate("questions");
-      emitQuestion(nextGame, nextGame.currentQuestion, io, endGameCallback);
+
+      console.log(`📤 Jugador ${player.username} recibió pregunta: ${playerQuestion.title}`);
     }
-    deleteQuestionTimer(game.pin);
-  }, game.timeLimitPerQuestion);
+  });
 
-  setQuestionTimer(game.pin, timer);
+  await startRoundTimer(game, roundTimeLimit);
 };
 
 module.exports = {
+  toPlayerQuestion,
+  getPlayerRoundQuestion,
+  getRoundTimeElapsed,
+  getPlayerResponseElapsed,
+  getAnswerOverrun,
+  recordQuestionDelivery,
+  getRoundTimeRemaining,
+  getPlayerTimeLeft,
+  getPlayerQuestionState,
+  emitQuestionResults,
+  advanceRound,
+  closeRound,
+  showRoundResults,
+  startRoundTimer,
   emitQuestion
-};
\ No newline at end of file
+};
@@ -0,0 +1,177 @@
+const Game = require("../models/game.model");
+const { endGame, processTimeouts, isSelfPaced } = require("./gameService");
+const {
+  getPlayerRoundQuestion,
+  getRoundTimeRemaining,
+  getPlayerTimeLeft,
+  closeRound,
+  showRoundResults,
+  startRoundTimer,
+  emitQuestion
+} = require("./questionService");
+const {
+  emitPlayerQuestion,
+  schedulePlayerQuestionTimeout,
+  handlePlayerQuestionTimeout,
+  clearPlayerQuestionTimers,
+  finishSelfPacedGame,
+  startSelfPacedGame
+} = require("./selfPacedService");
+const { cancelPlayerRemovals } = require("./playerService");
+const { setQuestionTimer, clearQuestionTimer, hasQuestionTimer } = require("../utils/timer");
+const { GAME_IDLE_THRESHOLD, RESULTS_DISPLAY_TIME, TIMER_HANDLERS } = require("../config/constants");
+
+/**
+ * Indica si un juego en curso lleva demasiado tiempo sin actividad.
+ * Los juegos autónomos con la fecha límite por delante no se consideran inactivos:
+ * los jugadores pueden entrar en cualquier momento hasta entonces.
+ * @param {Object} game - Documento del juego
+ * @param {number} now - Momento actual (ms)
+ * @returns {boolean}
+ */
+const isGameIdle = (game, now = Date.now()) => {
+  if (isSelfPaced(game) && game.deadline && new Date(game.deadline).getTime() > now) return false;
+
+  const lastActivity = new Date(game.updatedAt || game.startedAt || 0).getTime();
+  return now - lastActivity > GAME_IDLE_THRESHOLD;
+};
+
+/**
+ * Marca un juego en curso como abandonado y cancela sus timers
+ * @param {Object} game - Documento del juego
+ * @returns {Promise<boolean>} true si se marcó en esta llamada
+ */
+const abandonGame = async (game) => {
+  const abandonedGame = await Game.findOneAndUpdate(
+    { _id: game._id, status: { $in: ["playing", "paused"] } },
+    { $set: { status: "abandoned", abandonedAt: new Date(), pausedAt: null } }
+  );
+  if (!abandonedGame) return false;
+
+  await clearQuestionTimer(game.pin);
+  await clearPlayerQuestionTimers(game);
+  await cancelPlayerRemovals(game);
+  return true;
+};
+
+/**
+ * Retoma un juego en vivo: reprograma la ronda con el tiempo que le quedaba o,
+ * si ya se agotó, la cierra registrando los timeouts y continúa con la siguiente
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const recoverLiveGame = async (game, io) => {
+  if (game.currentQuestion >= game.questions.length) {
+    await endGame(game, game.pin, io);
+    return;
+  }
+
+  // Se reinició mientras se cerraba la ronda o se mostraban los resultados: se completan
+  // los timeouts y se vuelven a enviar los resultados durante el tiempo que les quedaba
+  if (game.roundPhase === "results") {
+    await processTimeouts(game, io);
+    const shownFor = game.roundClosedAt ? Date.now() - game.roundClosedAt : 0;
+    await showRoundResults(game._id, io, Math.max(0, RESULTS_DISPLAY_TIME - shownFor));
+    return;
+  }
+
+  // Se reinició durante la cuenta regresiva o el paso de ronda: la pregunta no se había emitido
+  if (!game.questionStartTime) {
+    await emitQuestion(game, game.currentQuestion, io);
+    return;
+  }
+
+  const timeRemaining = getRoundTimeRemaining(game);
+  if (timeRemaining > 0) {
+    await startRoundTimer(game, timeRemaining);
+  } else {
+    await closeRound(game._id, io);
+  }
+};
+
+/**
+ * Retoma un juego autónomo: reprograma la fecha límite y el timeout de la pregunta
+ * de cada jugador (o lo cierra si ya se agotó)
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const recoverSelfPacedGame = async (game, io) => {
+  if (!game.deadline) {
+    await startSelfPacedGame(game._id, io);
+    return;
+  }
+
+  const deadlineRemaining = new Date(game.deadline).getTime() - Date.now();
+  if (deadlineRemaining <= 0) {
+    await finishSelfPacedGame(game._id, io);
+    return;
+  }
+
+  await setQuestionTimer(game.pin, TIMER_HANDLERS.SELF_PACED_DEADLINE, deadlineRemaining, {
+    gameId: game._id.toString()
+  });
+
+  for (const player of game.players) {
+    if (player.finishedAt || !player.sessionToken) continue;
+
+    const questionIndex = player.currentQuestionIndex;
+    const question = getPlayerRoundQuestion(game, player, questionIndex);
+    if (!question) {
+      // Respondió todas pero no llegó a marcarse como terminado
+      await emitPlayerQuestion(game, player, io);
+      continue;
+    }
+
+    const timeLeft = getPlayerTimeLeft(game, player, question);
+    if (timeLeft > 0) {
+      await schedulePlayerQuestionTimeout(game, player, questionIndex, timeLeft);
+    } else {
+      await handlePlayerQuestionTimeout(game._id, player.sessionToken, questionIndex, io);
+    }
+  }
+};
+
+/**
+ * Recupera los juegos que quedaron en curso tras un reinicio del servidor.
+ * Los que llevan más de GAME_IDLE_THRESHOLD sin actividad se marcan como abandonados;
+ * el resto se retoma. Los juegos pausados no necesitan timer (se reprograma al reanudar)
+ * y los que ya tienen un timer pendiente los sigue avanzando el backend de timers.
+ * @param {Object} io - Instancia de Socket.IO
+ * @returns {Promise<{recovered: number, abandoned: number}>}
+ */
+const recoverGames = async (io) => {
+  const games = await Game.find({ status: { $in: ["playing", "paused"] } }).populate("questions");
+  let recovered = 0;
+  let abandoned = 0;
+
+  for (const game of games) {
+    try {
+      if (isGameIdle(game)) {
+        if (await abandonGame(game)) abandoned++;
+        continue;
+      }
+
+      if (game.status === "paused" || await hasQuestionTimer(game.pin)) continue;
+
+      if (isSelfPaced(game)) {
+        await recoverSelfPacedGame(game, io);
+      } else {
+        await recoverLiveGame(game, io);
+      }
+      recovered++;
+    } catch (error) {
+      console.error(`Error al recuperar el juego ${game.pin}:`, error);
+    }
+  }
+
+  if (recovered > 0 || abandoned > 0) {
+    console.log(`Juegos en curso recuperados: ${recovered}, abandonados: ${abandoned}`);
+  }
+  return { recovered, abandoned };
+};
+
+module.exports = {
+  isGameIdle,
+  abandonGame,
+  recoverGames
+};
@@ -0,0 +1,141 @@
+const { rankEntries, buildTeamLeaderboard } = require("./leaderboardService");
+const { resolveScoringRules } = require("./validationService");
+
+/**
+ * Normaliza un valor numérico guardado en el juego
+ * @param {*} value - Valor guardado
+ * @returns {number} Número finito (0 si no lo es)
+ */
+const toNumber = (value) => (Number.isFinite(value) ? value : Number(value) || 0);
+
+/**
+ * Construye los resultados finales de cada jugador
+ * @param {Object} game - Documento del juego
+ * @returns {Array<Object>} Resultados por jugador (en el orden del documento)
+ */
+const buildPlayerResults = (game) => {
+  const totalQuestions = game.questions.length;
+  // Si el host terminó un juego en vivo antes de tiempo solo cuentan las rondas que llegaron
+  // a jugarse (en modo autónomo cada jugador conserva todas sus preguntas)
+  const roundsPlayed = game.endedEarly && game.mode !== "self-paced"
+    ? Math.max(0, game.currentQuestion + 1)
+    : Infinity;
+
+  return game.players.map(player => {
+    const playerQuestionCount = Math.min(
+      Array.isArray(player.questionOrder) && player.questionOrder.length > 0
+        ? player.questionOrder.length
+        : totalQuestions,
+      roundsPlayed
+    );
+
+    return {
+      // ID estable del registro del jugador (el id de socket cambia al reconectarse)
+      playerId: player._id ? player._id.toString() : player.id,
+      username: player.username,
+      teamId: player.teamId ? player.teamId.toString() : null,
+      score: toNumber(player.score),
+      correctAnswers: toNumber(player.correctAnswers),
+      bestStreak: toNumber(player.bestStreak),
+      totalQuestions: playerQuestionCount,
+      character: player.character || null,
+      totalResponseTime: toNumber(player.totalResponseTime),
+      // Respuestas con un tiempo reportado por el cliente muy por debajo del medido en el servidor
+      suspiciousAnswers: (player.answers || []).filter(a => a.suspicious).length
+    };
+  });
+};
+
+/**
+ * Construye el desglose por pregunta: cada respuesta de cada jugador
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @returns {Array<Object>} Preguntas con sus estadísticas y respuestas
+ */
+const buildQuestionBreakdown = (game) => {
+  const questionsById = new Map();
+
+  // Preguntas del juego en su orden original (las borradas no aparecen al poblar)
+  game.questions.forEach((question) => {
+    questionsById.set(question._id.toString(), {
+      questionId: question._id,
+      title: question.title,
+      correctAnswer: question.correctAnswer,
+      answers: []
+    });
+  });
+
+  game.players.forEach((player) => {
+    player.answers.forEach((answer) => {
+      const key = answer.questionId.toString();
+      if (!questionsById.has(key)) {
+        questionsById.set(key, { questionId: answer.questionId, title: null, correctAnswer: null, answers: [] });
+      }
+
+      questionsById.get(key).answers.push({
+        username: player.username,
+        givenAnswer: answer.givenAnswer,
+        isCorrect: Boolean(answer.isCorrect),
+        pointsAwarded: toNumber(answer.pointsAwarded),
+        credit: toNumber(answer.credit),
+        breakdown: answer.breakdown || null,
+        streakBonus: toNumber(answer.streakBonus),
+        responseTime: toNumber(answer.responseTime),
+        clientResponseTime: Number.isFinite(answer.clientResponseTime) ? answer.clientResponseTime : null,
+        serverResponseTime: Number.isFinite(answer.serverResponseTime) ? answer.serverResponseTime : null,
+        suspicious: Boolean(answer.suspicious)
+      });
+    });
+  });
+
+  return Array.from(questionsById.values()).map((question) => {
+    const attempts = question.answers.length;
+    const correct = question.answers.filter(a => a.isCorrect).length;
+    const totalPoints = question.answers.reduce((sum, a) => sum + a.pointsAwarded, 0);
+    const totalTime = question.answers.reduce((sum, a) => sum + a.responseTime, 0);
+
+    return {
+      ...question,
+      attempts,
+      correct,
+      correctRate: attempts > 0 ? correct / attempts : 0,
+      averagePoints: attempts > 0 ? totalPoints / attempts : 0,
+      averageResponseTime: attempts > 0 ? totalTime / attempts : 0
+    };
+  });
+};
+
+/**
+ * Construye los resultados completos de un juego finalizado para revisarlos después
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @returns {Object} {pin, fechas, resumen, leaderboard y desglose por pregunta}
+ */
+const buildGameResults = (game) => {
+  const leaderboard = rankEntries(buildPlayerResults(game));
+
+  const totalScore = leaderboard.reduce((sum, result) => sum + result.score, 0);
+
+  return {
+    pin: game.pin,
+    status: game.status,
+    startedAt: game.startedAt,
+    finishedAt: game.finishedAt,
+    mode: game.mode,
+    endedEarly: Boolean(game.endedEarly),
+    scoringMode: game.scoringMode,
+    scoringRules: resolveScoringRules(game.scoringRules),
+    timeLimitPerQuestion: game.timeLimitPerQuestion / 1000,
+    questionsCount: game.questions.length,
+    playerCount: leaderboard.length,
+    averageScore: leaderboard.length > 0 ? totalScore / leaderboard.length : 0,
+    leaderboard,
+    teamScoring: game.teamScoring,
+    teamLeaderboard: buildTeamLeaderboard(game),
+    questions: buildQuestionBreakdown(game)
+  };
+};
+
+module.exports = {
+  buildPlayerResults,
+  buildQuestionBreakdown,
+  buildGameResults
+};
@@ -0,0 +1,96 @@
+const { Question } = require("../models/question.model");
+const SeedState = require("../models/seedState.model");
+const { SEED_VERSION, questions: questionsData } = require("../seeds/questions.seed");
+const { validateQuestionData } = require("./validationService");
+
+const QUESTIONS_SEED = "questions";
+
+/**
+ * Inserta o actualiza las preguntas base usando su slug como clave.
+ * Las preguntas antiguas sin slug (sembradas antes del versionado) se
+ * adoptan por título para conservar su _id.
+ * @returns {Promise<number>} Número de preguntas insertadas o actualizadas
+ */
+const upsertSeedQuestions = async () => {
+  let applied = 0;
+
+  for (const { slug, ...rawData } of questionsData) {
+    // Las preguntas base pasan por la misma validación que las creadas por la API
+    const { value: data, errors } = validateQuestionData(rawData);
+    if (errors.length > 0) {
+      console.error(`Pregunta base "${slug}" no válida, se omite:`, errors);
+      continue;
+    }
+
+    const existing = await Question.findOne({ slug });
+
+    if (!existing) {
+      const legacy = await Question.findOneAndUpdate(
+        { slug: { $exists: false }, title: data.title },
+        { $set: { slug, ...data } }
+      );
+      if (legacy) {
+        applied += 1;
+        continue;
+      }
+    }
+
+    await Question.updateOne(
+      { slug },
+      { $set: data, $setOnInsert: { slug } },
+      { upsert: true }
+    );
+    applied += 1;
+  }
+
+  return applied;
+};
+
+/**
+ * Siembra las preguntas base si la versión guardada en la base de datos es
+ * anterior a SEED_VERSION
+ * @param {Object} options - Opciones de sembrado
+ * @param {boolean} options.reset - Si es true borra TODAS las preguntas antes de sembrar
+ * @returns {Promise<void>}
+ */
+const seedQuestions = async ({ reset = false } = {}) => {
+  try {
+    if (reset) {
+      console.warn("⚠️ Reinicio de preguntas solicitado: se eliminarán todas las preguntas existentes");
+      await Question.deleteMany({});
+      await SeedState.deleteOne({ name: QUESTIONS_SEED });
+    }
+
+    const state = await SeedState.findOne({ name: QUESTIONS_SEED });
+    if (state && state.version >= SEED_VERSION) {
+      console.log(`Preguntas base al día (versión ${state.version})`);
+      return;
+    }
+
+    const applied = await upsertSeedQuestions();
+
+    await SeedState.findOneAndUpdate(
+      { name: QUESTIONS_SEED },
+      { $set: { version: SEED_VERSION, appliedAt: new Date() } },
+      { upsert: true }
+    );
+
+    console.log(`Preguntas base sembradas (versión ${SEED_VERSION}, ${applied} preguntas)`);
+  } catch (error) {
+    console.error('Error al inicializar preguntas:', error);
+  }
+};
+
+/**
+ * Ejecuta todos los sembrados pendientes
+ * @param {Object} options - Ver seedQuestions
+ * @returns {Promise<void>}
+ */
+const runSeeds = async (options = {}) => {
+  await seedQuestions(options);
+};
+
+module.exports = {
+  seedQuestions,
+  runSeeds
+};
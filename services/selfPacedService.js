@@ -0,0 +1,232 @@
+const Game = require("../models/game.model");
+const {
+  registerTimeoutAnswer,
+  processTimeouts,
+  getQuestionTimeLimit,
+  endGame
+} = require("./gameService");
+const { toPlayerQuestion, getPlayerRoundQuestion } = require("./questionService");
+const {
+  setQuestionTimer,
+  clearQuestionTimer,
+  setPlayerQuestionTimer,
+  clearPlayerQuestionTimer
+} = require("../utils/timer");
+const { ANSWER_GRACE_TIME, TIMER_HANDLERS } = require("../config/constants");
+
+/**
+ * Construye la vista de progreso para el host: en qué pregunta va cada jugador
+ * @param {Object} game - Documento del juego
+ * @returns {Array<Object>} Progreso por jugador
+ */
+const buildProgress = (game) => {
+  const totalQuestions = game.questions.length;
+
+  return game.players.map(player => ({
+    playerId: player._id ? player._id.toString() : player.id,
+    id: player.id,
+    username: player.username,
+    character: player.character || null,
+    teamId: player.teamId || null,
+    connected: player.connected !== false,
+    currentIndex: Math.min(player.currentQuestionIndex + 1, totalQuestions),
+    answered: player.answers.length,
+    correctAnswers: player.correctAnswers || 0,
+    score: player.score || 0,
+    totalQuestions,
+    finished: Boolean(player.finishedAt)
+  }));
+};
+
+/**
+ * Envía al host la vista de progreso actualizada
+ * @param {Object} game - Documento del juego
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const emitProgress = (game, io) => {
+  if (!game.hostId) return;
+
+  io.to(game.hostId).emit("progress-updated", {
+    players: buildProgress(game),
+    deadline: game.deadline
+  });
+};
+
+/**
+ * Envía a un jugador su pregunta actual y programa su timeout.
+ * Si ya respondió todas, lo marca como terminado y, si era el último, finaliza el juego.
+ * @param {Object} game - Documento del juego (con preguntas pobladas)
+ * @param {Object} player - Subdocumento del jugador
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const emitPlayerQuestion = async (game, player, io) => {
+  const questionIndex = player.currentQuestionIndex;
+  const question = getPlayerRoundQuestion(game, player, questionIndex);
+
+  if (!question) {
+    const finishedGame = await Game.findOneAndUpdate(
+      { _id: game._id, players: { $elemMatch: { _id: player._id, finishedAt: null } } },
+      { $set: { "players.$.finishedAt": new Date() } },
+      { new: true }
+    );
+    if (!finishedGame) return;
+
+    io.to(player.id).emit("player-finished", {
+      score: player.score || 0,
+      correctAnswers: player.correctAnswers || 0,
+      totalQuestions: game.questions.length
+    });
+    emitProgress(finishedGame, io);
+
+    if (finishedGame.players.every(p => p.finishedAt)) {
+      await clearQuestionTimer(game.pin);
+      await endGame(finishedGame, game.pin, io);
+    }
+    return;
+  }
+
+  // Al llegar la fecha límite el timer del juego lo finaliza
+  const deadlineRemaining = new Date(game.deadline).getTime() - Date.now();
+  if (deadlineRemaining <= 0) return;
+  const timeLimit = Math.min(getQuestionTimeLimit(game, question), deadlineRemaining);
+
+  await Game.updateOne(
+    { _id: game._id, "players._id": player._id },
+    { $set: { "players.$.questionStartTime": Date.now() } }
+  );
+
+  io.to(player.id).emit("game-started", {
+    question: toPlayerQuestion(question),
+    timeLimit: Math.floor(timeLimit / 1000),
+    currentIndex: questionIndex + 1,
+    totalQuestions: game.questions.length,
+  });
+
+  await schedulePlayerQuestionTimeout(game, player, questionIndex, timeLimit);
+};
+
+/**
+ * Programa el cierre por tiempo de la pregunta actual de un jugador
+ * (ANSWER_GRACE_TIME después del límite, para aceptar la respuesta en tránsito)
+ * @param {Object} game - Documento del juego
+ * @param {Object} player - Subdocumento del jugador
+ * @param {number} questionIndex - Índice de la pregunta del jugador
+ * @param {number} delay - Milisegundos hasta el límite de la pregunta
+ * @returns {Promise<void>}
+ */
+const schedulePlayerQuestionTimeout = (game, player, questionIndex, delay) => {
+  return setPlayerQuestionTimer(player.sessionToken, TIMER_HANDLERS.PLAYER_QUESTION_TIMEOUT, delay + ANSWER_GRACE_TIME, {
+    gameId: game._id.toString(),
+    sessionToken: player.sessionToken,
+    questionIndex
+  });
+};
+
+/**
+ * Avanza a un jugador a su siguiente pregunta. Solo avanza si sigue en la pregunta
+ * indicada, para que una respuesta y un timeout simultáneos no lo adelanten dos veces.
+ * @param {string} gameId - ID del juego
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @param {number} fromIndex - Índice de la pregunta que acaba de cerrar
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const advancePlayer = async (gameId, sessionToken, fromIndex, io) => {
+  await clearPlayerQuestionTimer(sessionToken);
+
+  const game = await Game.findOneAndUpdate(
+    {
+      _id: gameId,
+      status: "playing",
+      players: { $elemMatch: { sessionToken, currentQuestionIndex: fromIndex } }
+    },
+    { $inc: { "players.$.currentQuestionIndex": 1 } },
+    { new: true }
+  ).populate("questions");
+  if (!game) return;
+
+  const player = game.players.find(p => p.sessionToken === sessionToken);
+  emitProgress(game, io);
+  await emitPlayerQuestion(game, player, io);
+};
+
+/**
+ * Cierra por tiempo la pregunta actual de un jugador y le envía la siguiente
+ * @param {string} gameId - ID del juego
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @param {number} questionIndex - Índice de la pregunta que expiró
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handlePlayerQuestionTimeout = async (gameId, sessionToken, questionIndex, io) => {
+  const game = await Game.findById(gameId);
+  if (!game || game.status !== "playing") return;
+
+  const player = game.players.find(p => p.sessionToken === sessionToken);
+  if (!player || player.currentQuestionIndex !== questionIndex) return;
+
+  await registerTimeoutAnswer(gameId, player.id, io);
+  await advancePlayer(gameId, sessionToken, questionIndex, io);
+};
+
+/**
+ * Cancela los timers de pregunta de todos los jugadores de un juego autónomo
+ * @param {Object} game - Documento del juego
+ * @returns {Promise<void>}
+ */
+const clearPlayerQuestionTimers = async (game) => {
+  await Promise.all(game.players
+    .filter(player => player.sessionToken)
+    .map(player => clearPlayerQuestionTimer(player.sessionToken)));
+};
+
+/**
+ * Finaliza un juego autónomo: cierra por tiempo las preguntas pendientes y emite los resultados
+ * @param {string} gameId - ID del juego
+ * @param {Object} io - Instancia de Socket.IO
+ * @param {Object} options - Opciones de endGame (endedEarly)
+ * @returns {Promise<boolean>} true si el juego se finalizó en esta llamada
+ */
+const finishSelfPacedGame = async (gameId, io, options = {}) => {
+  const game = await Game.findById(gameId).populate("questions");
+  if (!game || ["finished", "abandoned"].includes(game.status)) return false;
+
+  await clearQuestionTimer(game.pin);
+  await clearPlayerQuestionTimers(game);
+  await processTimeouts(game, io);
+
+  return endGame(game, game.pin, io, options);
+};
+
+/**
+ * Arranca un juego autónomo: fija la fecha límite, programa el cierre del juego
+ * y envía a cada jugador su primera pregunta
+ * @param {string} gameId - ID del juego
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const startSelfPacedGame = async (gameId, io) => {
+  const game = await Game.findOne({ _id: gameId, status: "playing" }).populate("questions");
+  if (!game) return;
+
+  game.deadline = new Date(Date.now() + game.selfPacedDuration);
+  await Game.updateOne({ _id: gameId }, { $set: { deadline: game.deadline } });
+
+  await setQuestionTimer(game.pin, TIMER_HANDLERS.SELF_PACED_DEADLINE, game.selfPacedDuration, {
+    gameId: game._id.toString()
+  });
+
+  emitProgress(game, io);
+  for (const player of game.players) {
+    await emitPlayerQuestion(game, player, io);
+  }
+};
+
+module.exports = {
+  buildProgress,
+  emitProgress,
+  emitPlayerQuestion,
+  schedulePlayerQuestionTimeout,
+  advancePlayer,
+  handlePlayerQuestionTimeout,
+  clearPlayerQuestionTimers,
+  finishSelfPacedGame,
+  startSelfPacedGame
+};
@@ -0,0 +1,115 @@
+const mongoose = require("mongoose");
+const Game = require("../models/game.model");
+const Student = require("../models/student.model");
+
+/**
+ * Normaliza un código de alumno o de clase
+ * @param {string} code - Código recibido
+ * @returns {string} Código sin espacios y en mayúsculas
+ */
+const normalizeCode = (code) => String(code ?? "").trim().toUpperCase();
+
+/**
+ * Obtiene (o crea) el alumno identificado por su código y clase
+ * @param {Object} data - Datos enviados en join-game
+ * @param {string} data.studentCode - Identificador del alumno
+ * @param {string} data.classCode - Código de la clase (opcional)
+ * @param {string} data.username - Nombre usado en la partida
+ * @returns {Promise<Object|null>} Documento del alumno o null si no se envió studentCode
+ */
+const linkStudent = async ({ studentCode, classCode, username }) => {
+  const code = normalizeCode(studentCode);
+  if (!code) return null;
+
+  return Student.findOneAndUpdate(
+    { studentCode: code, classCode: normalizeCode(classCode) },
+    {
+      $set: { displayName: username, lastSeenAt: new Date() },
+      $setOnInsert: { studentCode: code, classCode: normalizeCode(classCode) }
+    },
+    { new: true, upsert: true }
+  );
+};
+
+/**
+ * Calcula el progreso de un alumno por clase de peligro (número de la etiqueta)
+ * a partir de las respuestas guardadas en los juegos finalizados
+ * @param {string} studentId - ID del alumno
+ * @returns {Promise<Object>} {byHazardClass, sessions} con la precisión global y por sesión
+ */
+const getStudentProgress = async (studentId) => {
+  const studentObjectId = new mongoose.Types.ObjectId(studentId);
+
+  const answers = await Game.aggregate([
+    { $match: { status: "finished", "players.studentId": studentObjectId } },
+    { $unwind: "$players" },
+    { $match: { "players.studentId": studentObjectId } },
+    { $unwind: "$players.answers" },
+    {
+      $lookup: {
+        from: "questions",
+        localField: "players.answers.questionId",
+        foreignField: "_id",
+        as: "question"
+      }
+    },
+    { $unwind: { path: "$question", preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        _id: 0,
+        gameId: "$_id",
+        pin: 1,
+        date: { $ifNull: ["$finishedAt", { $toDate: "$_id" }] },
+        // Las preguntas de opción múltiple y verdadero/falso guardan la clase en la etiqueta
+        hazardClass: { $ifNull: ["$question.correctAnswer.number", "$question.label.number"] },
+        isCorrect: "$players.answers.isCorrect",
+        pointsAwarded: "$players.answers.pointsAwarded"
+      }
+    },
+    { $sort: { date: 1 } }
+  ]);
+
+  const summarize = (entries) => {
+    const attempts = entries.length;
+    const correct = entries.filter(e => e.isCorrect).length;
+    return { attempts, correct, accuracy: attempts > 0 ? correct / attempts : 0 };
+  };
+
+  const groupByClass = (entries) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = entry.hazardClass ?? null;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    });
+    return Array.from(groups.entries())
+      .map(([hazardClass, group]) => ({ hazardClass, ...summarize(group) }))
+      .sort((a, b) => (a.hazardClass ?? Infinity) - (b.hazardClass ?? Infinity));
+  };
+
+  // Una sesión por juego, en orden cronológico
+  const sessions = new Map();
+  answers.forEach((entry) => {
+    const key = entry.gameId.toString();
+    if (!sessions.has(key)) {
+      sessions.set(key, { gameId: entry.gameId, pin: entry.pin, date: entry.date, entries: [] });
+    }
+    sessions.get(key).entries.push(entry);
+  });
+
+  return {
+    overall: summarize(answers),
+    byHazardClass: groupByClass(answers),
+    sessions: Array.from(sessions.values()).map(({ entries, ...session }) => ({
+      ...session,
+      ...summarize(entries),
+      byHazardClass: groupByClass(entries)
+    }))
+  };
+};
+
+module.exports = {
+  normalizeCode,
+  linkStudent,
+  getStudentProgress
+};
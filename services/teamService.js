@@ -0,0 +1,58 @@
+/**
+ * Normaliza un nombre de usuario para compararlo con los miembros asignados a un equipo
+ * @param {string} username - Nombre de usuario
+ * @returns {string} Nombre sin espacios extremos y en minúsculas
+ */
+const normalizeMemberName = (username) => String(username || "").trim().toLowerCase();
+
+/**
+ * Indica si el juego se juega por equipos
+ * @param {Object} game - Documento del juego
+ * @returns {boolean}
+ */
+const hasTeams = (game) => Array.isArray(game.teams) && game.teams.length > 0;
+
+/**
+ * Proyecta los equipos a la forma pública (sin la lista de miembros asignados)
+ * @param {Array} teams - Equipos del juego
+ * @returns {Array<{id: string, name: string}>}
+ */
+const toPublicTeams = (teams = []) => teams.map(team => ({
+  id: team._id.toString(),
+  name: team.name
+}));
+
+/**
+ * Determina el equipo de un jugador que se une: primero la asignación del host
+ * por nombre de usuario y, si no tiene, el equipo que eligió el jugador
+ * @param {Object} game - Documento del juego
+ * @param {Object} options - Datos del jugador
+ * @param {string} options.username - Nombre de usuario
+ * @param {string} options.teamId - Equipo elegido por el jugador (opcional)
+ * @returns {{teamId: Object|null, error: string|null}}
+ */
+const resolvePlayerTeam = (game, { username, teamId }) => {
+  const memberName = normalizeMemberName(username);
+  const assignedTeam = game.teams.find(team => team.members.includes(memberName));
+  if (assignedTeam) {
+    return { teamId: assignedTeam._id, error: null };
+  }
+
+  if (!teamId) {
+    return { teamId: null, error: "Debes elegir un equipo" };
+  }
+
+  const chosenTeam = game.teams.find(team => team._id.toString() === String(teamId));
+  if (!chosenTeam) {
+    return { teamId: null, error: "Equipo no encontrado" };
+  }
+
+  return { teamId: chosenTeam._id, error: null };
+};
+
+module.exports = {
+  normalizeMemberName,
+  hasTeams,
+  toPublicTeams,
+  resolvePlayerTeam
+};
@@ -0,0 +1,62 @@
+const Game = require("../models/game.model");
+const { defineTimerHandler, startTimers } = require("../utils/timer");
+const { TIMER_HANDLERS } = require("../config/constants");
+const { endGame, isSelfPaced } = require("./gameService");
+const { emitQuestion, closeRound, advanceRound } = require("./questionService");
+const {
+  startSelfPacedGame,
+  finishSelfPacedGame,
+  handlePlayerQuestionTimeout
+} = require("./selfPacedService");
+const { removeDisconnectedPlayer } = require("./playerService");
+
+/**
+ * Registra los manejadores de los timers de las partidas y arranca el backend
+ * configurado. Los payloads solo llevan IDs: cada manejador vuelve a leer el juego,
+ * porque puede ejecutarse en otra instancia o después de un reinicio.
+ * @param {Object} io - Instancia de Socket.IO
+ * @returns {Promise<void>}
+ */
+const setupTimers = async (io) => {
+  // Fin de la cuenta regresiva: primera pregunta (en vivo) o arranque del modo autónomo
+  defineTimerHandler(TIMER_HANDLERS.START_GAME, async ({ gameId }) => {
+    const game = await Game.findOne({ _id: gameId, status: "playing" }).populate("questions");
+    if (!game) return;
+
+    if (isSelfPaced(game)) {
+      await startSelfPacedGame(game._id, io);
+    } else {
+      await emitQuestion(game, game.currentQuestion, io);
+    }
+  });
+
+  defineTimerHandler(TIMER_HANDLERS.CLOSE_ROUND, ({ gameId }) => closeRound(gameId, io));
+
+  defineTimerHandler(TIMER_HANDLERS.NEXT_ROUND, ({ gameId, fromQuestion }) => {
+    return advanceRound(gameId, fromQuestion, io);
+  });
+
+  defineTimerHandler(TIMER_HANDLERS.FINISH_GAME, async ({ gameId }) => {
+    const game = await Game.findById(gameId);
+    if (!game) return;
+    await endGame(game, game.pin, io);
+  });
+
+  defineTimerHandler(TIMER_HANDLERS.SELF_PACED_DEADLINE, ({ gameId }) => {
+    return finishSelfPacedGame(gameId, io);
+  });
+
+  defineTimerHandler(TIMER_HANDLERS.PLAYER_QUESTION_TIMEOUT, ({ gameId, sessionToken, questionIndex }) => {
+    return handlePlayerQuestionTimeout(gameId, sessionToken, questionIndex, io);
+  });
+
+  defineTimerHandler(TIMER_HANDLERS.REMOVE_PLAYER, ({ gameId, sessionToken }) => {
+    return removeDisconnectedPlayer(gameId, sessionToken, io);
+  });
+
+  await startTimers(io);
+};
+
+module.exports = {
+  setupTimers
+};
@@ -1,4 +1,62 @@
-const MIN_TIMEOUT_POINTS = 10;
+const {
+  PICTOGRAMS,
+  COLORS,
+  NUMBERS,
+  DEFAULT_SCORING_MODE,
+  DEFAULT_COMPONENT_WEIGHTS,
+  DEFAULT_SCORING_RULES,
+  MIN_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_TYPE
+} = require("../config/constants");
+const mongoose = require("mongoose");
+const {
+  normalizePictogram,
+  normalizeColor,
+  normalizeNumber,
+  normalizeAnswer
+} = require("../config/vocabulary");
+
+const MAX_LABEL_COLORS = 2;
+const MIN_CHOICE_OPTIONS = 2;
+const MAX_CHOICE_OPTIONS = 6;
+
+/**
+ * Compara cada componente de la respuesta con la respuesta esperada.
+ * Ambas se traducen antes al vocabulario canónico (config/vocabulary), por lo que
+ * "rojo" y "red" o "riesgo_biologico" y "riesgoBiologico" se consideran iguales.
+ * @param {Object} answer - Respuesta del jugador {pictogram, colors, number}
+ * @param {Object} correctAnswer - Respuesta correcta {pictogram, colors, number}
+ * @returns {{pictogram: number, colors: number, number: number}} Acierto de 0 a 1 por componente
+ */
+const compareAnswerComponents = (answer, correctAnswer) => {
+  const given = normalizeAnswer(answer);
+  const expected = normalizeAnswer(correctAnswer);
+
+  // Pictograma
+  const pictogram = given.pictogram.toLowerCase() === expected.pictogram.toLowerCase() ? 1 : 0;
+
+  // Número
+  const ansNumber = String(given.number ?? '').trim();
+  const correctNumber = String(expected.number ?? '').trim();
+  const number = ansNumber === correctNumber ? 1 : 0;
+
+  // Colores (orden independiente): proporción de colores que coinciden
+  const remaining = expected.colors.map(c => c.toLowerCase());
+  let matchedColors = 0;
+  given.colors.forEach((color) => {
+    const index = remaining.indexOf(color.toLowerCase());
+    if (index !== -1) {
+      remaining.splice(index, 1);
+      matchedColors += 1;
+    }
+  });
+  const totalColors = Math.max(given.colors.length, expected.colors.length);
+  const colors = totalColors === 0 ? 1 : matchedColors / totalColors;
+
+  return { pictogram, colors, number };
+};
 
 /**
  * Valida si una respuesta del jugador es correcta comparando con la respuesta esperada
@@ -9,41 +67,530 @@ const MIN_TIMEOUT_POINTS = 10;
 const isAnswerCorrect = (answer, correctAnswer) => {
   if (!answer) return false;
 
-  // Validar pictograma
-  const ansPictogram = String(answer.pictogram || '').toLowerCase().trim();
-  const correctPictogram = String(correctAnswer.pictogram || '').toLowerCase().trim();
-  if (ansPictogram !== correctPictogram) return false;
+  const breakdown = compareAnswerComponents(answer, correctAnswer);
+  return Object.values(breakdown).every(value => value === 1);
+};
+
+/**
+ * Combina los pesos configurados por el host con los pesos por defecto y los
+ * normaliza para que sumen 1
+ * @param {Object} weights - Pesos {pictogram, colors, number}
+ * @returns {{pictogram: number, colors: number, number: number}} Pesos normalizados
+ */
+const resolveComponentWeights = (weights = {}) => {
+  const merged = {};
+  Object.keys(DEFAULT_COMPONENT_WEIGHTS).forEach((component) => {
+    const value = Number(weights?.[component]);
+    merged[component] = Number.isFinite(value) && value >= 0
+      ? value
+      : DEFAULT_COMPONENT_WEIGHTS[component];
+  });
+
+  const total = Object.values(merged).reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return { ...DEFAULT_COMPONENT_WEIGHTS };
+
+  Object.keys(merged).forEach((component) => {
+    merged[component] = merged[component] / total;
+  });
+  return merged;
+};
+
+/**
+ * Evalúa una respuesta según el modo de puntuación del juego
+ * @param {Object} answer - Respuesta del jugador {pictogram, colors, number}
+ * @param {Object} correctAnswer - Respuesta correcta {pictogram, colors, number}
+ * @param {Object} options - Configuración de puntuación del juego
+ * @param {string} options.mode - "all-or-nothing" o "partial"
+ * @param {Object} options.weights - Pesos por componente (solo modo parcial)
+ * @returns {{isCorrect: boolean, credit: number, breakdown: Object}} Resultado;
+ *   credit es la fracción (0 a 1) de los puntos que corresponden
+ */
+const evaluateAnswer = (answer, correctAnswer, { mode = DEFAULT_SCORING_MODE, weights } = {}) => {
+  if (!answer) {
+    return { isCorrect: false, credit: 0, breakdown: { pictogram: 0, colors: 0, number: 0 } };
+  }
+
+  const breakdown = compareAnswerComponents(answer, correctAnswer);
+  const isCorrect = Object.values(breakdown).every(value => value === 1);
+
+  let credit = isCorrect ? 1 : 0;
+  if (mode === "partial" && !isCorrect) {
+    const resolvedWeights = resolveComponentWeights(weights);
+    credit = Object.keys(resolvedWeights)
+      .reduce((sum, component) => sum + resolvedWeights[component] * breakdown[component], 0);
+  }
+
+  return { isCorrect, credit, breakdown };
+};
+
+/**
+ * Resultado de una pregunta que solo puede ser correcta o incorrecta
+ * @param {boolean} isCorrect - Si la respuesta es correcta
+ * @returns {{isCorrect: boolean, credit: number, breakdown: null}}
+ */
+const binaryResult = (isCorrect) => ({ isCorrect, credit: isCorrect ? 1 : 0, breakdown: null });
+
+/**
+ * Validadores de respuesta por tipo de pregunta (ver QUESTION_TYPES).
+ * Cada uno recibe la respuesta, la pregunta y la configuración de puntuación del juego.
+ */
+const ANSWER_EVALUATORS = {
+  label: (answer, question, scoring) => evaluateAnswer(answer, question.correctAnswer, scoring),
+  "multiple-choice": (answer, question) => binaryResult(
+    answer.option !== null && answer.option !== undefined &&
+    Number(answer.option) === question.correctAnswer.option
+  ),
+  "identify-number": (answer, question) => binaryResult(
+    normalizeNumber(answer.number) !== null &&
+    normalizeNumber(answer.number) === normalizeNumber(question.correctAnswer.number)
+  ),
+  "true-false": (answer, question) => binaryResult(
+    typeof answer.value === "boolean" && answer.value === question.correctAnswer.value
+  )
+};
 
-  // Validar número
-  const ansNumber = String(answer.number ?? '').trim();
-  const correctNumber = String(correctAnswer.number ?? '').trim();
-  if (ansNumber !== correctNumber) return false;
+/**
+ * Evalúa la respuesta de un jugador con el validador del tipo de la pregunta
+ * @param {Object} answer - Respuesta enviada por el jugador
+ * @param {Object} question - Documento de la pregunta
+ * @param {Object} scoring - Configuración de puntuación {mode, weights}
+ * @returns {{isCorrect: boolean, credit: number, breakdown: Object|null}} Resultado
+ */
+const evaluateQuestionAnswer = (answer, question, scoring = {}) => {
+  const evaluator = ANSWER_EVALUATORS[question.type] || ANSWER_EVALUATORS[DEFAULT_QUESTION_TYPE];
+  if (!answer) return binaryResult(false);
+  return evaluator(answer, question, scoring);
+};
 
-  // Validar colores (orden independiente)
-  const ansColors = Array.isArray(answer.colors)
-    ? answer.colors.map(c => c.toLowerCase()).sort()
-    : [];
-  const correctColors = Array.isArray(correctAnswer.colors)
-    ? correctAnswer.colors.map(c => c.toLowerCase()).sort()
-    : [];
+/**
+ * Indica si el jugador no respondió nada para el tipo de pregunta
+ * @param {Object} answer - Respuesta enviada por el jugador
+ * @param {Object} question - Documento de la pregunta
+ * @returns {boolean} true si la respuesta está vacía
+ */
+const isAnswerEmpty = (answer, question) => {
+  if (!answer) return true;
+
+  switch (question.type || DEFAULT_QUESTION_TYPE) {
+    case "multiple-choice":
+      return answer.option === null || answer.option === undefined;
+    case "identify-number":
+      return answer.number === null || answer.number === undefined || answer.number === "";
+    case "true-false":
+      return typeof answer.value !== "boolean";
+    default:
+      return !answer.pictogram &&
+        (!answer.colors || answer.colors.length === 0) &&
+        !answer.number;
+  }
+};
+
+/**
+ * Normaliza la respuesta del jugador para guardarla según el tipo de pregunta
+ * @param {Object} question - Documento de la pregunta
+ * @param {Object} answer - Respuesta enviada por el jugador
+ * @returns {Object} Respuesta a guardar en player.answers[].givenAnswer
+ */
+const normalizeGivenAnswer = (question, answer) => {
+  if (!answer) return {};
 
-  return JSON.stringify(ansColors) === JSON.stringify(correctColors);
+  switch (question.type || DEFAULT_QUESTION_TYPE) {
+    case "multiple-choice":
+      return { option: Number.isInteger(Number(answer.option)) ? Number(answer.option) : null };
+    case "identify-number":
+      return { number: normalizeNumber(answer.number) };
+    case "true-false":
+      return { value: typeof answer.value === "boolean" ? answer.value : null };
+    default:
+      return normalizeAnswer(answer);
+  }
 };
 
 /**
- * Calcula los puntos obtenidos basándose en el tiempo de respuesta
+ * Combina las reglas de puntuación configuradas por el host con las reglas por defecto
+ * @param {Object} rules - Reglas {maxPoints, minPoints, decay, streakMultipliers}
+ * @returns {Object} Reglas completas, con los multiplicadores ordenados por racha
+ */
+const resolveScoringRules = (rules = {}) => {
+  const pick = (key) => (rules && rules[key] !== undefined && rules[key] !== null
+    ? rules[key]
+    : DEFAULT_SCORING_RULES[key]);
+
+  const streakMultipliers = Array.from(pick("streakMultipliers"))
+    .map(({ streak, multiplier }) => ({ streak, multiplier }))
+    .sort((a, b) => a.streak - b.streak);
+
+  return {
+    maxPoints: pick("maxPoints"),
+    minPoints: pick("minPoints"),
+    decay: pick("decay"),
+    streakMultipliers
+  };
+};
+
+/**
+ * Determina el tiempo de respuesta que cuenta para los puntos a partir del medido en el
+ * servidor. El reportado por el cliente solo sirve para descontar la latencia de red:
+ * puede bajar el tiempo hasta `tolerance` segundos, nunca más. Si el cliente reporta menos
+ * que eso, la respuesta se marca como sospechosa.
+ * @param {number|null} clientTime - Tiempo reportado por el cliente (segundos)
+ * @param {number} serverTime - Tiempo medido en el servidor desde la entrega de la pregunta (segundos)
+ * @param {number} tolerance - Diferencia máxima aceptada (segundos)
+ * @returns {{responseTime: number, suspicious: boolean}}
+ */
+const resolveResponseTime = (clientTime, serverTime, tolerance) => {
+  if (!Number.isFinite(clientTime) || clientTime < 0) {
+    return { responseTime: serverTime, suspicious: false };
+  }
+
+  return {
+    responseTime: Math.min(serverTime, Math.max(clientTime, serverTime - tolerance)),
+    suspicious: clientTime < serverTime - tolerance
+  };
+};
+
+/**
+ * Calcula los puntos obtenidos basándose en el tiempo de respuesta y las reglas del juego
  * @param {number} responseTime - Tiempo que tardó el jugador en responder (segundos)
  * @param {number} timeLimit - Tiempo límite de la pregunta (milisegundos)
- * @returns {number} Puntos obtenidos (mínimo MIN_TIMEOUT_POINTS, máximo 100)
+ * @param {Object} rules - Reglas de puntuación del juego (ver resolveScoringRules)
+ * @returns {number} Puntos obtenidos (entre minPoints y maxPoints)
  */
-const calculatePoints = (responseTime, timeLimit) => {
+const calculatePoints = (responseTime, timeLimit, rules) => {
+  const { maxPoints, minPoints, decay } = resolveScoringRules(rules);
   const timeLimitInSeconds = timeLimit / 1000;
-  const timeFactor = Math.max(0, (timeLimitInSeconds - responseTime) / timeLimitInSeconds);
-  return Math.max(MIN_TIMEOUT_POINTS, Math.floor(100 * timeFactor));
+  const elapsed = Math.min(1, Math.max(0, responseTime / timeLimitInSeconds));
+
+  let points;
+  switch (decay) {
+    case "none":
+      points = maxPoints;
+      break;
+    case "exponential":
+      // Cae rápido al principio y llega a minPoints justo al agotarse el tiempo
+      points = maxPoints * Math.pow(Math.max(minPoints, 1) / maxPoints, elapsed);
+      break;
+    default:
+      points = maxPoints * (1 - elapsed);
+  }
+
+  return Math.max(minPoints, Math.floor(points));
+};
+
+/**
+ * Obtiene el multiplicador que corresponde a una racha de aciertos consecutivos
+ * @param {number} streak - Aciertos consecutivos (incluyendo la respuesta actual)
+ * @param {Object} rules - Reglas de puntuación del juego
+ * @returns {number} Multiplicador (1 si la racha no alcanza ningún umbral)
+ */
+const getStreakMultiplier = (streak, rules) => {
+  return resolveScoringRules(rules).streakMultipliers
+    .filter(step => streak >= step.streak)
+    .reduce((multiplier, step) => Math.max(multiplier, step.multiplier), 1);
+};
+
+/**
+ * Valida y normaliza una etiqueta {pictogram, colors, number} contra config/constants.
+ * Acepta etiquetas y alias del vocabulario y los guarda con su id canónico.
+ * @param {Object} label - Etiqueta recibida
+ * @param {string} field - Nombre del campo para los mensajes (ej: "correctAnswer")
+ * @param {Object} options - Opciones de validación
+ * @param {boolean} options.withNumber - Si es false el número no se valida ni se guarda
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}}
+ */
+const validateLabel = (label, field, { withNumber = true } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!label || typeof label !== "object" || Array.isArray(label)) {
+    errors.push({ field, message: `Debe ser un objeto con pictogram, colors${withNumber ? " y number" : ""}` });
+    return { value, errors };
+  }
+
+  const pictogram = normalizePictogram(label.pictogram);
+  if (!pictogram) {
+    errors.push({
+      field: `${field}.pictogram`,
+      message: `Pictograma no válido. Valores permitidos: ${PICTOGRAMS.join(", ")}`
+    });
+  } else {
+    value.pictogram = pictogram;
+  }
+
+  const { colors } = label;
+  if (!Array.isArray(colors) || colors.length === 0 || colors.length > MAX_LABEL_COLORS) {
+    errors.push({
+      field: `${field}.colors`,
+      message: `Debe ser una lista de 1 a ${MAX_LABEL_COLORS} colores`
+    });
+  } else {
+    value.colors = colors.map((color, index) => {
+      const canonical = normalizeColor(color);
+      if (!canonical) {
+        errors.push({
+          field: `${field}.colors[${index}]`,
+          message: `Color no válido. Valores permitidos: ${COLORS.join(", ")}`
+        });
+      }
+      return canonical;
+    });
+  }
+
+  if (withNumber) {
+    const number = normalizeNumber(label.number);
+    if (number === null) {
+      errors.push({
+        field: `${field}.number`,
+        message: `Número no válido. Valores permitidos: ${NUMBERS.join(", ")}`
+      });
+    } else {
+      value.number = number;
+    }
+  }
+
+  return { value, errors };
+};
+
+/**
+ * Valida un número de clase requerido en correctAnswer.number
+ * @param {*} number - Número recibido
+ * @param {string} field - Ruta del campo para los errores
+ * @returns {{value: string|null, errors: Array<{field: string, message: string}>}} Número normalizado y errores
+ */
+const validateClassNumber = (number, field) => {
+  const normalized = normalizeNumber(number);
+  if (normalized === null) {
+    return { value: null, errors: [{ field, message: `Número no válido. Valores permitidos: ${NUMBERS.join(", ")}` }] };
+  }
+  return { value: normalized, errors: [] };
+};
+
+/**
+ * Valida un texto obligatorio
+ * @param {*} text - Texto recibido
+ * @param {string} field - Ruta del campo para los errores
+ * @param {string} message - Mensaje de error si falta o está vacío
+ * @returns {{value: string|null, errors: Array<{field: string, message: string}>}} Texto sin espacios extremos y errores
+ */
+const validateRequiredText = (text, field, message) => {
+  if (typeof text !== "string" || text.trim() === "") {
+    return { value: null, errors: [{ field, message }] };
+  }
+  return { value: text.trim(), errors: [] };
+};
+
+/**
+ * Validadores de los campos específicos de cada tipo de pregunta.
+ * Cada uno recibe los datos y devuelve {value, errors} con los campos normalizados.
+ */
+const QUESTION_DATA_VALIDATORS = {
+  // Construir la etiqueta completa (pictograma, colores y número)
+  label: (data) => {
+    const { value: correctAnswer, errors } = validateLabel(data.correctAnswer, "correctAnswer");
+    return { value: { correctAnswer }, errors };
+  },
+
+  // Elegir la opción correcta (ej: "¿Qué clase es esta etiqueta?")
+  "multiple-choice": (data) => {
+    const errors = [];
+    const value = {};
+
+    const prompt = validateRequiredText(data.prompt, "prompt", "El enunciado es obligatorio");
+    errors.push(...prompt.errors);
+    value.prompt = prompt.value;
+
+    if (data.label !== undefined && data.label !== null) {
+      const label = validateLabel(data.label, "label");
+      errors.push(...label.errors);
+      value.label = label.value;
+    }
+
+    const { options } = data;
+    if (!Array.isArray(options) || options.length < MIN_CHOICE_OPTIONS || options.length > MAX_CHOICE_OPTIONS) {
+      errors.push({ field: "options", message: `Debe ser una lista de ${MIN_CHOICE_OPTIONS} a ${MAX_CHOICE_OPTIONS} opciones` });
+    } else {
+      value.options = options.map((option, index) => {
+        const text = validateRequiredText(option, `options[${index}]`, "La opción no puede estar vacía");
+        errors.push(...text.errors);
+        return text.value;
+      });
+
+      const option = data.correctAnswer ? data.correctAnswer.option : undefined;
+      if (!Number.isInteger(option) || option < 0 || option >= options.length) {
+        errors.push({ field: "correctAnswer.option", message: `Debe ser el índice de una opción (0 a ${options.length - 1})` });
+      } else {
+        value.correctAnswer = { option };
+      }
+    }
+
+    return { value, errors };
+  },
+
+  // Indicar el número de clase de una etiqueta que se muestra sin número
+  "identify-number": (data) => {
+    const label = validateLabel(data.label, "label", { withNumber: false });
+    const number = validateClassNumber(data.correctAnswer ? data.correctAnswer.number : undefined, "correctAnswer.number");
+    return {
+      value: { label: label.value, correctAnswer: { number: number.value } },
+      errors: [...label.errors, ...number.errors]
+    };
+  },
+
+  // Decidir si una afirmación es verdadera o falsa
+  "true-false": (data) => {
+    const errors = [];
+    const value = {};
+
+    const prompt = validateRequiredText(data.prompt, "prompt", "La afirmación es obligatoria");
+    errors.push(...prompt.errors);
+    value.prompt = prompt.value;
+
+    if (data.label !== undefined && data.label !== null) {
+      const label = validateLabel(data.label, "label");
+      errors.push(...label.errors);
+      value.label = label.value;
+    }
+
+    const correctValue = data.correctAnswer ? data.correctAnswer.value : undefined;
+    if (typeof correctValue !== "boolean") {
+      errors.push({ field: "correctAnswer.value", message: "Debe ser true o false" });
+    } else {
+      value.correctAnswer = { value: correctValue };
+    }
+
+    return { value, errors };
+  }
+};
+
+/**
+ * Valida los datos completos de una pregunta antes de crearla o actualizarla
+ * (en PATCH el controlador combina antes los cambios con la pregunta guardada)
+ * @param {Object} data - Datos recibidos {title, type, timeLimit, prompt, label, options, correctAnswer}
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Datos normalizados y errores por campo
+ */
+const validateQuestionData = (data) => {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { value, errors: [{ field: "body", message: "Debe ser un objeto JSON" }] };
+  }
+
+  const title = validateRequiredText(data.title, "title", "El título es obligatorio");
+  errors.push(...title.errors);
+  value.title = title.value;
+
+  const type = data.type === undefined || data.type === null ? DEFAULT_QUESTION_TYPE : data.type;
+  if (!QUESTION_TYPES.includes(type)) {
+    errors.push({ field: "type", message: `Tipo no válido. Valores permitidos: ${QUESTION_TYPES.join(", ")}` });
+    return { value, errors };
+  }
+  value.type = type;
+
+  if (data.timeLimit !== undefined && data.timeLimit !== null) {
+    const timeLimit = Number(data.timeLimit);
+    if (!Number.isFinite(timeLimit) || timeLimit < MIN_TIME_LIMIT || timeLimit > MAX_TIME_LIMIT) {
+      errors.push({
+        field: "timeLimit",
+        message: `Debe estar entre ${MIN_TIME_LIMIT} y ${MAX_TIME_LIMIT} segundos`
+      });
+    } else {
+      value.timeLimit = timeLimit;
+    }
+  } else {
+    value.timeLimit = null;
+  }
+
+  const typeResult = QUESTION_DATA_VALIDATORS[type](data);
+  errors.push(...typeResult.errors);
+  Object.assign(value, typeResult.value);
+
+  return { value, errors };
+};
+
+/**
+ * Valida los datos de un conjunto de preguntas (la existencia de las preguntas
+ * se comprueba después en la base de datos)
+ * @param {Object} data - Datos recibidos {title, description, questions, timeLimit, tags}
+ * @param {Object} options - Opciones de validación
+ * @param {boolean} options.partial - Si es true (PATCH) solo valida los campos presentes
+ * @returns {{value: Object, errors: Array<{field: string, message: string}>}} Datos normalizados y errores por campo
+ */
+const validateQuestionSetData = (data, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { value, errors: [{ field: "body", message: "Debe ser un objeto JSON" }] };
+  }
+
+  if (data.title !== undefined || !partial) {
+    if (typeof data.title !== "string" || data.title.trim() === "") {
+      errors.push({ field: "title", message: "El título es obligatorio" });
+    } else {
+      value.title = data.title.trim();
+    }
+  }
+
+  if (data.description !== undefined) {
+    if (typeof data.description !== "string") {
+      errors.push({ field: "description", message: "Debe ser un texto" });
+    } else {
+      value.description = data.description.trim();
+    }
+  }
+
+  if (data.questions !== undefined || !partial) {
+    if (!Array.isArray(data.questions) || data.questions.length === 0) {
+      errors.push({ field: "questions", message: "Debe ser una lista con al menos una pregunta" });
+    } else {
+      const seen = new Set();
+      data.questions.forEach((questionId, index) => {
+        if (!mongoose.isValidObjectId(questionId)) {
+          errors.push({ field: `questions[${index}]`, message: "ID de pregunta no válido" });
+        } else if (seen.has(String(questionId))) {
+          errors.push({ field: `questions[${index}]`, message: "Pregunta duplicada" });
+        }
+        seen.add(String(questionId));
+      });
+      value.questions = data.questions.map(String);
+    }
+  }
+
+  if (data.timeLimit !== undefined) {
+    const timeLimit = Number(data.timeLimit);
+    if (!Number.isFinite(timeLimit) || timeLimit < MIN_TIME_LIMIT || timeLimit > MAX_TIME_LIMIT) {
+      errors.push({
+        field: "timeLimit",
+        message: `Debe estar entre ${MIN_TIME_LIMIT} y ${MAX_TIME_LIMIT} segundos`
+      });
+    } else {
+      value.timeLimit = timeLimit;
+    }
+  }
+
+  if (data.tags !== undefined) {
+    if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== "string")) {
+      errors.push({ field: "tags", message: "Debe ser una lista de textos" });
+    } else {
+      value.tags = [...new Set(data.tags.map(tag => tag.trim()).filter(Boolean))];
+    }
+  }
+
+  return { value, errors };
 };
 
 module.exports = {
-  MIN_TIMEOUT_POINTS,
   isAnswerCorrect,
-  calculatePoints
+  evaluateAnswer,
+  evaluateQuestionAnswer,
+  isAnswerEmpty,
+  normalizeGivenAnswer,
+  resolveComponentWeights,
+  resolveScoringRules,
+  resolveResponseTime,
+  calculatePoints,
+  getStreakMultiplier,
+  validateQuestionData,
+  validateQuestionSetData
 };
\ No newline at end of file
@@ -0,0 +1,255 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  calculatePoints,
+  getStreakMultiplier,
+  resolveScoringRules,
+  resolveResponseTime,
+  evaluateQuestionAnswer,
+  isAnswerEmpty,
+  validateQuestionData
+} = require("./validationService");
+const { DEFAULT_SCORING_RULES } = require("../config/constants");
+
+describe("resolveScoringRules", () => {
+  it("usa las reglas por defecto si no se indican", () => {
+    assert.deepEqual(resolveScoringRules(), DEFAULT_SCORING_RULES);
+    assert.deepEqual(resolveScoringRules(null), DEFAULT_SCORING_RULES);
+  });
+
+  it("completa con los valores por defecto solo los campos que faltan", () => {
+    const rules = resolveScoringRules({ maxPoints: 200, decay: null });
+    assert.equal(rules.maxPoints, 200);
+    assert.equal(rules.minPoints, DEFAULT_SCORING_RULES.minPoints);
+    assert.equal(rules.decay, DEFAULT_SCORING_RULES.decay);
+  });
+
+  it("ordena los multiplicadores de racha por número de aciertos", () => {
+    const rules = resolveScoringRules({
+      streakMultipliers: [{ streak: 5, multiplier: 2 }, { streak: 3, multiplier: 1.5 }]
+    });
+    assert.deepEqual(rules.streakMultipliers, [
+      { streak: 3, multiplier: 1.5 },
+      { streak: 5, multiplier: 2 }
+    ]);
+  });
+});
+
+describe("calculatePoints", () => {
+  const rules = (decay) => ({ maxPoints: 100, minPoints: 10, decay });
+
+  it("lineal: reparte los puntos según el tiempo que queda", () => {
+    assert.equal(calculatePoints(0, 10000, rules("linear")), 100);
+    assert.equal(calculatePoints(5, 10000, rules("linear")), 50);
+    assert.equal(calculatePoints(7.5, 10000, rules("linear")), 25);
+  });
+
+  it("lineal: nunca baja de minPoints, aunque se pase del límite", () => {
+    assert.equal(calculatePoints(10, 10000, rules("linear")), 10);
+    assert.equal(calculatePoints(25, 10000, rules("linear")), 10);
+  });
+
+  it("sin decaimiento: siempre da maxPoints", () => {
+    assert.equal(calculatePoints(0, 10000, rules("none")), 100);
+    assert.equal(calculatePoints(9.9, 10000, rules("none")), 100);
+  });
+
+  it("exponencial: cae rápido al principio y llega a minPoints al agotarse el tiempo", () => {
+    assert.equal(calculatePoints(0, 10000, rules("exponential")), 100);
+    assert.equal(calculatePoints(5, 10000, rules("exponential")), 31);
+    assert.equal(calculatePoints(10, 10000, rules("exponential")), 10);
+    assert.ok(calculatePoints(5, 10000, rules("exponential")) < calculatePoints(5, 10000, rules("linear")));
+  });
+
+  it("usa las reglas por defecto si no se indican", () => {
+    assert.equal(calculatePoints(5, 10000), 50);
+  });
+});
+
+describe("getStreakMultiplier", () => {
+  const rules = {
+    streakMultipliers: [{ streak: 3, multiplier: 1.5 }, { streak: 5, multiplier: 2 }]
+  };
+
+  it("devuelve 1 si la racha no alcanza ningún umbral", () => {
+    assert.equal(getStreakMultiplier(2, rules), 1);
+    assert.equal(getStreakMultiplier(10, {}), 1);
+  });
+
+  it("aplica el mayor multiplicador cuyo umbral se alcanzó", () => {
+    assert.equal(getStreakMultiplier(3, rules), 1.5);
+    assert.equal(getStreakMultiplier(4, rules), 1.5);
+    assert.equal(getStreakMultiplier(5, rules), 2);
+    assert.equal(getStreakMultiplier(12, rules), 2);
+  });
+});
+
+describe("evaluateQuestionAnswer", () => {
+  it("etiqueta: todo o nada por defecto y crédito parcial por componentes en modo parcial", () => {
+    const question = { type: "label", correctAnswer: { pictogram: "fuego", colors: ["red"], number: 3 } };
+    const answer = { pictogram: "fuego", colors: ["rojo"], number: 2.1 };
+
+    assert.equal(evaluateQuestionAnswer({ ...answer, number: 3 }, question).isCorrect, true);
+    assert.equal(evaluateQuestionAnswer(answer, question).credit, 0);
+
+    const partial = evaluateQuestionAnswer(answer, question, { mode: "partial" });
+    assert.equal(partial.isCorrect, false);
+    assert.deepEqual(partial.breakdown, { pictogram: 1, colors: 1, number: 0 });
+    assert.ok(partial.credit > 0 && partial.credit < 1);
+  });
+
+  it("las preguntas sin tipo se evalúan como etiqueta", () => {
+    const question = { correctAnswer: { pictogram: "fuego", colors: ["red"], number: 3 } };
+    assert.equal(evaluateQuestionAnswer({ pictogram: "fuego", colors: ["red"], number: 3 }, question).isCorrect, true);
+  });
+
+  it("opción múltiple: compara el índice de la opción", () => {
+    const question = { type: "multiple-choice", correctAnswer: { option: 2 } };
+    assert.deepEqual(evaluateQuestionAnswer({ option: 2 }, question), { isCorrect: true, credit: 1, breakdown: null });
+    assert.equal(evaluateQuestionAnswer({ option: 1 }, question).isCorrect, false);
+    assert.equal(evaluateQuestionAnswer({ option: null }, question).isCorrect, false);
+  });
+
+  it("identificar el número: acepta el número como texto", () => {
+    const question = { type: "identify-number", correctAnswer: { number: 2.1 } };
+    assert.equal(evaluateQuestionAnswer({ number: "2.1" }, question).isCorrect, true);
+    assert.equal(evaluateQuestionAnswer({ number: 2.2 }, question).isCorrect, false);
+    assert.equal(evaluateQuestionAnswer({ number: "x" }, question).isCorrect, false);
+  });
+
+  it("verdadero/falso: solo acepta booleanos", () => {
+    const question = { type: "true-false", correctAnswer: { value: false } };
+    assert.equal(evaluateQuestionAnswer({ value: false }, question).isCorrect, true);
+    assert.equal(evaluateQuestionAnswer({ value: "false" }, question).isCorrect, false);
+  });
+
+  it("sin respuesta no hay crédito", () => {
+    assert.deepEqual(evaluateQuestionAnswer(null, { type: "true-false", correctAnswer: { value: true } }), {
+      isCorrect: false,
+      credit: 0,
+      breakdown: null
+    });
+  });
+});
+
+describe("isAnswerEmpty", () => {
+  it("detecta la respuesta vacía según el tipo de pregunta", () => {
+    assert.equal(isAnswerEmpty(null, { type: "label" }), true);
+    assert.equal(isAnswerEmpty({ colors: [] }, { type: "label" }), true);
+    assert.equal(isAnswerEmpty({ colors: ["red"] }, { type: "label" }), false);
+    assert.equal(isAnswerEmpty({ option: 0 }, { type: "multiple-choice" }), false);
+    assert.equal(isAnswerEmpty({}, { type: "multiple-choice" }), true);
+    assert.equal(isAnswerEmpty({ number: "" }, { type: "identify-number" }), true);
+    assert.equal(isAnswerEmpty({ value: false }, { type: "true-false" }), false);
+  });
+});
+
+describe("validateQuestionData", () => {
+  const fields = (result) => result.errors.map(e => e.field);
+
+  it("normaliza una pregunta de etiqueta al vocabulario canónico", () => {
+    const result = validateQuestionData({
+      title: " Inflamable ",
+      correctAnswer: { pictogram: "fuego", colors: ["rojo"], number: "3" }
+    });
+    assert.deepEqual(result, {
+      value: {
+        title: "Inflamable",
+        type: "label",
+        timeLimit: null,
+        correctAnswer: { pictogram: "fuego", colors: ["red"], number: 3 }
+      },
+      errors: []
+    });
+  });
+
+  it("rechaza tipos y tiempos límite no válidos", () => {
+    assert.deepEqual(fields(validateQuestionData({ title: "T", type: "abierta" })), ["type"]);
+    assert.deepEqual(fields(validateQuestionData({
+      title: "T",
+      timeLimit: 1,
+      correctAnswer: { pictogram: "fuego", colors: ["red"], number: 3 }
+    })), ["timeLimit"]);
+  });
+
+  it("opción múltiple: exige enunciado, opciones y el índice de la correcta", () => {
+    const valid = validateQuestionData({
+      title: "T",
+      type: "multiple-choice",
+      prompt: "¿Qué clase es?",
+      options: ["Clase 2", "Clase 3"],
+      correctAnswer: { option: 1 }
+    });
+    assert.deepEqual(valid.errors, []);
+    assert.deepEqual(valid.value.correctAnswer, { option: 1 });
+
+    assert.deepEqual(fields(validateQuestionData({
+      title: "T",
+      type: "multiple-choice",
+      prompt: " ",
+      options: ["Clase 2", ""],
+      correctAnswer: { option: 2 }
+    })), ["prompt", "options[1]", "correctAnswer.option"]);
+    assert.deepEqual(fields(validateQuestionData({
+      title: "T",
+      type: "multiple-choice",
+      prompt: "P",
+      options: ["solo una"]
+    })), ["options"]);
+  });
+
+  it("identificar el número: la etiqueta va sin número y el número es la respuesta", () => {
+    const result = validateQuestionData({
+      title: "T",
+      type: "identify-number",
+      label: { pictogram: "fuego", colors: ["red"], number: 9 },
+      correctAnswer: { number: "2.1" }
+    });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.value.label, { pictogram: "fuego", colors: ["red"] });
+    assert.deepEqual(result.value.correctAnswer, { number: 2.1 });
+
+    assert.deepEqual(fields(validateQuestionData({
+      title: "T",
+      type: "identify-number",
+      label: { pictogram: "fuego", colors: ["red"] },
+      correctAnswer: { number: 99 }
+    })), ["correctAnswer.number"]);
+  });
+
+  it("verdadero/falso: exige la afirmación y un booleano como respuesta", () => {
+    assert.deepEqual(validateQuestionData({
+      title: "T",
+      type: "true-false",
+      prompt: "Es inflamable",
+      correctAnswer: { value: true }
+    }).errors, []);
+    assert.deepEqual(fields(validateQuestionData({
+      title: "T",
+      type: "true-false",
+      prompt: "Es inflamable",
+      correctAnswer: { value: "true" }
+    })), ["correctAnswer.value"]);
+  });
+});
+
+describe("resolveResponseTime", () => {
+  it("usa el tiempo del servidor si el cliente no envía uno válido", () => {
+    assert.deepEqual(resolveResponseTime(null, 4.2, 1.5), { responseTime: 4.2, suspicious: false });
+    assert.deepEqual(resolveResponseTime(-1, 4.2, 1.5), { responseTime: 4.2, suspicious: false });
+    assert.deepEqual(resolveResponseTime(NaN, 4.2, 1.5), { responseTime: 4.2, suspicious: false });
+  });
+
+  it("el tiempo del cliente descuenta la latencia dentro de la tolerancia", () => {
+    assert.deepEqual(resolveResponseTime(3.5, 4, 1.5), { responseTime: 3.5, suspicious: false });
+    assert.deepEqual(resolveResponseTime(2.5, 4, 1.5), { responseTime: 2.5, suspicious: false });
+  });
+
+  it("nunca cuenta más tiempo que el medido en el servidor", () => {
+    assert.deepEqual(resolveResponseTime(9, 4, 1.5), { responseTime: 4, suspicious: false });
+  });
+
+  it("un tiempo del cliente demasiado bajo se limita y se marca como sospechoso", () => {
+    assert.deepEqual(resolveResponseTime(0.5, 4, 1.5), { responseTime: 2.5, suspicious: true });
+  });
+});
@@ -1,8 +1,28 @@
 const Game = require("../../models/game.model");
 const { Question } = require("../../models/question.model");
-const generatePin = require("../../utils/generatePin");
-const { emitQuestion } = require("../../services/questionService");
-const { endGame } = require("../../services/gameService");
+const QuestionSet = require("../../models/questionSet.model");
+const { generateToken } = require("../../utils/generateToken");
+const {
+  closeRound,
+  startRoundTimer,
+  getRoundTimeRemaining,
+  getPlayerQuestionState
+} = require("../../services/questionService");
+const { endGame, processTimeouts, isSelfPaced } = require("../../services/gameService");
+const { buildProgress, finishSelfPacedGame } = require("../../services/selfPacedService");
+const { setQuestionTimer, clearQuestionTimer } = require("../../utils/timer");
+const { toPublicPlayers } = require("../../services/playerService");
+const { normalizeMemberName, toPublicTeams } = require("../../services/teamService");
+const { saveGameWithUniquePin } = require("../../services/pinService");
+const { resolveComponentWeights, resolveScoringRules } = require("../../services/validationService");
+const {
+  DEFAULT_SCORING_MODE,
+  DEFAULT_GAME_MODE,
+  DEFAULT_SELF_PACED_DURATION,
+  DEFAULT_TEAM_AGGREGATION,
+  TIMER_HANDLERS
+} = require("../../config/constants");
+const { invalidPayloadResponse } = require("../middleware/validatePayload");
 
 /**
  * Maneja la creación de un nuevo juego
@@ -12,22 +32,93 @@ const { endGame } = require("../../services/gameService");
 const handleCreateGame = (socket, io) => {
   socket.on("create-game", async (gameData, callback) => {
     try {
-      const { timeLimit, questionIds } = gameData;
-      const pin = generatePin();
-      const questions = await Question.find({ '_id': { $in: questionIds } });
+      // La forma del payload ya se validó en socket/middleware/validatePayload
+      const {
+        questionSetId,
+        scoringMode = DEFAULT_SCORING_MODE,
+        scoringWeights,
+        scoringRules,
+        pinFormat = "alphanumeric",
+        mode = DEFAULT_GAME_MODE,
+        duration = DEFAULT_SELF_PACED_DURATION,
+        teams = [],
+        teamScoring = DEFAULT_TEAM_AGGREGATION
+      } = gameData;
+
+      let { timeLimit, questionIds } = gameData;
+      let questionIdsField = "questionIds";
+
+      // Un conjunto guardado puede reemplazar la lista de preguntas y aportar el tiempo por defecto
+      if (questionSetId) {
+        const questionSet = await QuestionSet.findById(questionSetId);
+        if (!questionSet) {
+          return callback(invalidPayloadResponse([
+            { field: "questionSetId", message: "Conjunto de preguntas no encontrado" }
+          ]));
+        }
+        if (questionIds === undefined) {
+          questionIds = questionSet.questions.map(String);
+          questionIdsField = "questionSetId";
+        }
+        if (timeLimit === undefined) {
+          timeLimit = questionSet.timeLimit;
+        }
+      }
+
+      const errors = [];
+      if (!Number.isFinite(timeLimit)) {
+        errors.push({ field: "timeLimit", message: "Campo obligatorio (el conjunto no define un tiempo por defecto)" });
+      }
+
+      const questions = await Question.find({ '_id': { $in: questionIds } }, { _id: 1 });
+      const existingIds = new Set(questions.map(q => q._id.toString()));
+      if (questionIdsField === "questionIds") {
+        questionIds.forEach((questionId, index) => {
+          if (!existingIds.has(String(questionId))) {
+            errors.push({ field: `questionIds[${index}]`, message: "La pregunta no existe" });
+          }
+        });
+      }
+      if (existingIds.size === 0) {
+        errors.push({ field: questionIdsField, message: "El juego necesita al menos una pregunta existente" });
+      }
+
+      if (errors.length > 0) {
+        return callback(invalidPayloadResponse(errors));
+      }
+
+      // Conservar el orden enviado por el host
+      const orderedQuestionIds = [...new Set(questionIds.map(String))]
+        .filter(questionId => existingIds.has(questionId));
+
+      const hostToken = generateToken();
 
       const game = new Game({
-        pin,
         timeLimitPerQuestion: timeLimit * 1000,
         hostId: socket.id,
-        questions: questions.map(q => q._id),
+        hostToken,
+        questions: orderedQuestionIds,
+        questionSet: questionSetId || null,
         status: "waiting",
+        scoringMode,
+        scoringWeights: resolveComponentWeights(scoringWeights),
+        scoringRules: resolveScoringRules(scoringRules),
+        mode,
+        // En modo autónomo la duración total se recibe en minutos
+        selfPacedDuration: mode === "self-paced" ? duration * 60 * 1000 : null,
+        teams: teams.map(team => ({
+          name: team.name.trim(),
+          members: (team.members || []).map(normalizeMemberName)
+        })),
+        teamScoring,
       });
 
-      await game.save();
+      // PIN numérico opcional para alumnos pequeños que escriben desde el móvil
+      const pin = await saveGameWithUniquePin(game, { format: pinFormat });
       socket.join(pin);
 
-      callback({ success: true, pin });
+      // El hostToken solo se entrega al creador y autoriza los eventos de host
+      callback({ success: true, pin, hostToken, teams: toPublicTeams(game.teams) });
     } catch (error) {
       callback({ success: false, error: error.message });
     }
@@ -36,6 +127,7 @@ const handleCreateGame = (socket, io) => {
 
 /**
  * Permite al host reconectarse a un juego existente después de recargar la página
+ * (requiere hostToken, ver socket/middleware/hostAuth)
  * @param {Socket} socket - Socket del cliente
  * @param {Object} io - Instancia de Socket.IO
  */
@@ -48,14 +140,11 @@ const handleRejoinHost = (socket, io) => {
         return callback({ success: false, error: "Juego no encontrado" });
       }
 
+      await Game.updateOne({ _id: game._id }, { $set: { hostId: socket.id } });
       socket.join(pin);
 
-      const players = game.players.map(player => ({
-        id: player.id,
-        username: player.username,
-        character: player.character || null,
-        score: player.score || 0,
-      }));
+      // Incluye el estado de conexión de cada jugador
+      const players = toPublicPlayers(game.players);
 
       callback({
         success: true,
@@ -64,6 +153,13 @@ const handleRejoinHost = (socket, io) => {
           players,
           timeLimitPerQuestion: game.timeLimitPerQuestion / 1000,
           questionsCount: game.questions.length,
+          scoringMode: game.scoringMode,
+          scoringRules: resolveScoringRules(game.scoringRules),
+          mode: game.mode,
+          deadline: game.deadline,
+          teams: toPublicTeams(game.teams),
+          teamScoring: game.teamScoring,
+          progress: isSelfPaced(game) ? buildProgress(game) : undefined,
         }
       });
     } catch (error) {
@@ -90,9 +186,15 @@ const handleStartGame = (socket, io) => {
         return callback({ success: false, error: "El juego ya ha comenzado" });
       }
 
+      if (game.questions.length === 0) {
+        return callback({ success: false, error: "El juego no tiene preguntas" });
+      }
+
       game.status = "playing";
       game.currentQuestion = 0;
-      game.questionStartTime = Date.now();
+      // questionStartTime se fija al emitir la primera pregunta, tras la cuenta regresiva
+      game.questionStartTime = null;
+      game.startedAt = new Date();
       await game.save();
 
       // Emitir countdown antes de iniciar
@@ -102,9 +204,167 @@ const handleStartGame = (socket, io) => {
       });
 
       // Esperar 5 segundos y luego iniciar
-      setTimeout(() => {
-        emitQuestion(game, game.currentQuestion, io, endGame);
-      }, 5000);
+      await setQuestionTimer(pin, TIMER_HANDLERS.START_GAME, 5000, { gameId: game._id.toString() });
+
+      callback({ success: true });
+    } catch (error) {
+      callback({ success: false, error: error.message });
+    }
+  });
+};
+
+/**
+ * Pausa el juego durante una pregunta: detiene el timer de la ronda y congela
+ * el tiempo restante hasta que el host lo reanude. No se puede pausar antes de que
+ * empiece la ronda (cuenta regresiva o paso a la siguiente) ni tras la última pregunta.
+ * @param {Socket} socket - Socket del cliente
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handlePauseGame = (socket, io) => {
+  socket.on("pause-game", async ({ pin }, callback) => {
+    try {
+      const game = await Game.findOneAndUpdate(
+        {
+          pin,
+          mode: { $ne: "self-paced" },
+          status: "playing",
+          roundPhase: "question",
+          questionStartTime: { $ne: null },
+          $expr: { $lt: ["$currentQuestion", { $size: "$questions" }] }
+        },
+        { $set: { status: "paused", pausedAt: new Date() } },
+        { new: true }
+      );
+
+      if (!game) {
+        return callback({ success: false, error: "Solo se puede pausar un juego en vivo durante una pregunta" });
+      }
+
+      await clearQuestionTimer(pin);
+
+      const timeRemaining = Math.ceil(getRoundTimeRemaining(game) / 1000);
+      io.to(pin).emit("game-paused", { timeRemaining });
+
+      callback({ success: true, timeRemaining });
+    } catch (error) {
+      callback({ success: false, error: error.message });
+    }
+  });
+};
+
+/**
+ * Reanuda un juego pausado: desplaza el inicio de la pregunta lo que duró la pausa
+ * y vuelve a programar el cierre de la ronda con el tiempo que quedaba
+ * @param {Socket} socket - Socket del cliente
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handleResumeGame = (socket, io) => {
+  socket.on("resume-game", async ({ pin }, callback) => {
+    try {
+      const pausedGame = await Game.findOne({ pin, status: "paused" });
+
+      if (!pausedGame) {
+        return callback({ success: false, error: "El juego no está en pausa" });
+      }
+
+      const pausedFor = Date.now() - pausedGame.pausedAt.getTime();
+      const game = await Game.findOneAndUpdate(
+        { _id: pausedGame._id, status: "paused" },
+        {
+          $set: {
+            status: "playing",
+            pausedAt: null,
+            questionStartTime: (pausedGame.questionStartTime || Date.now()) + pausedFor
+          }
+        },
+        { new: true }
+      ).populate("questions");
+
+      if (!game) {
+        return callback({ success: false, error: "El juego no está en pausa" });
+      }
+
+      const timeRemaining = getRoundTimeRemaining(game);
+      await startRoundTimer(game, timeRemaining);
+
+      // Cada jugador recibe el tiempo que le queda a su propia pregunta y, si no llegó
+      // a recibir la pregunta de la ronda, la pregunta
+      game.players.forEach((player) => {
+        const state = getPlayerQuestionState(game, player);
+        if (state && (!player.questionDelivery || player.questionDelivery.round !== game.currentQuestion)) {
+          io.to(player.id).emit("game-started", {
+            question: state.question,
+            timeLimit: state.timeLeft,
+            currentIndex: state.currentIndex,
+            totalQuestions: state.totalQuestions
+          });
+        }
+        io.to(player.id).emit("game-resumed", { timeLeft: state ? state.timeLeft : 0 });
+      });
+
+      callback({ success: true, timeRemaining: Math.ceil(timeRemaining / 1000) });
+    } catch (error) {
+      callback({ success: false, error: error.message });
+    }
+  });
+};
+
+/**
+ * Salta la pregunta actual: cierra la ronda de inmediato como si se hubiera agotado el tiempo
+ * @param {Socket} socket - Socket del cliente
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handleSkipQuestion = (socket, io) => {
+  socket.on("skip-question", async ({ pin }, callback) => {
+    try {
+      const game = await Game.findOne({ pin });
+
+      if (game && isSelfPaced(game)) {
+        return callback({ success: false, error: "En modo autónomo cada jugador avanza a su ritmo" });
+      }
+      if (!game || game.status !== "playing" || game.roundPhase !== "question" || !game.questionStartTime) {
+        return callback({ success: false, error: "No hay una pregunta en curso para saltar" });
+      }
+
+      await closeRound(game._id, io);
+
+      callback({ success: true });
+    } catch (error) {
+      callback({ success: false, error: error.message });
+    }
+  });
+};
+
+/**
+ * Termina el juego antes de la última pregunta. La ronda en curso se cierra
+ * registrando los timeouts para que los resultados finales queden completos.
+ * @param {Socket} socket - Socket del cliente
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handleEndGame = (socket, io) => {
+  socket.on("end-game", async ({ pin }, callback) => {
+    try {
+      const game = await Game.findOne({ pin }).populate("questions");
+
+      if (!game || !["playing", "paused"].includes(game.status)) {
+        return callback({ success: false, error: "El juego no está en curso" });
+      }
+
+      let ended;
+      if (isSelfPaced(game)) {
+        ended = await finishSelfPacedGame(game._id, io, { endedEarly: true });
+      } else {
+        await clearQuestionTimer(pin);
+        // Durante la cuenta regresiva todavía no se emitió ninguna pregunta
+        if (game.roundPhase === "question" && game.questionStartTime) {
+          await processTimeouts(game, io);
+        }
+        ended = await endGame(game, pin, io, { endedEarly: true });
+      }
+
+      if (!ended) {
+        return callback({ success: false, error: "El juego ya ha finalizado" });
+      }
 
       callback({ success: true });
     } catch (error) {
@@ -116,5 +376,9 @@ const handleStartGame = (socket, io) => {
 module.exports = {
   handleCreateGame,
   handleStartGame,
-  handleRejoinHost
+  handleRejoinHost,
+  handlePauseGame,
+  handleResumeGame,
+  handleSkipQuestion,
+  handleEndGame
 };
\ No newline at end of file
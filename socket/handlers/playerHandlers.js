@@ -1,9 +1,42 @@
 const Game = require("../../models/game.model");
-const { isAnswerCorrect, calculatePoints, MIN_TIMEOUT_POINTS } = require("../../services/validationService");
-const { haveAllPlayersAnswered, endGame } = require("../../services/gameService");
-const { emitQuestion } = require("../../services/questionService");
-const { getQuestionTimer, clearQuestionTimer } = require("../../utils/timer");
+const { Question } = require("../../models/question.model");
+const {
+  evaluateQuestionAnswer,
+  isAnswerEmpty,
+  normalizeGivenAnswer,
+  resolveScoringRules,
+  resolveResponseTime,
+  calculatePoints,
+  getStreakMultiplier
+} = require("../../services/validationService");
+const {
+  haveAllPlayersAnswered,
+  getQuestionTimeLimit,
+  isSelfPaced,
+  getPlayerQuestionIndex
+} = require("../../services/gameService");
+const {
+  toPlayerQuestion,
+  getPlayerQuestionState,
+  getRoundTimeElapsed,
+  getPlayerResponseElapsed,
+  getAnswerOverrun,
+  closeRound
+} = require("../../services/questionService");
+const {
+  toPublicPlayers,
+  schedulePlayerRemoval,
+  cancelPlayerRemoval
+} = require("../../services/playerService");
+const { clearPlayerQuestionTimer } = require("../../utils/timer");
+const { emitPlayerQuestion, emitProgress, advancePlayer } = require("../../services/selfPacedService");
 const shuffleArray = require("../../utils/shuffle");
+const { generateToken } = require("../../utils/generateToken");
+const { linkStudent } = require("../../services/studentService");
+const { hasTeams, toPublicTeams, resolvePlayerTeam } = require("../../services/teamService");
+const { emitRanking } = require("../../services/leaderboardService");
+const { RESPONSE_TIME_TOLERANCE, ANSWER_GRACE_TIME } = require("../../config/constants");
+const ERROR_CODES = require("../../config/errorCodes");
 
 /**
  * Maneja la unión de un jugador al juego
@@ -11,7 +44,7 @@ const shuffleArray = require("../../utils/shuffle");
  * @param {Object} io - Instancia de Socket.IO
  */
 const handleJoinGame = (socket, io) => {
-  socket.on("join-game", async ({ pin, username, character }, callback) => {
+  socket.on("join-game", async ({ pin, username, character, studentCode, classCode, teamId: requestedTeamId }, callback) => {
     try {
       const game = await Game.findOne({ pin }).populate("questions");
 
@@ -19,80 +52,130 @@ const handleJoinGame = (socket, io) => {
         return callback({ success: false, error: "Juego no encontrado" });
       }
 
-      if (game.status === "finished") {
+      if (["finished", "abandoned"].includes(game.status)) {
         return callback({ success: false, error: "El juego ya ha finalizado" });
       }
 
+      // En juegos por equipos el jugador necesita equipo (asignado por el host o elegido al unirse)
+      let teamId = null;
+      if (hasTeams(game)) {
+        const team = resolvePlayerTeam(game, { username, teamId: requestedTeamId });
+        if (team.error) {
+          return callback({ success: false, error: team.error, teams: toPublicTeams(game.teams) });
+        }
+        teamId = team.teamId;
+      }
+
+      // Vincular al alumno persistente si se identificó con su código
+      const student = await linkStudent({ studentCode, classCode, username });
+      const studentId = student ? student._id : null;
+
       const totalQuestions = game.questions.length;
+      // Token para recuperar este jugador con rejoin-player si se pierde la conexión
+      const sessionToken = generateToken();
       let joinResponse = {
         success: true,
+        pin: game.pin,
         gameStatus: game.status,
-        totalQuestions
+        totalQuestions,
+        reconnectToken: sessionToken,
+        studentId,
+        teamId
       };
 
 
-      if (game.status === "playing") {
+      if (game.status === "playing" || game.status === "paused") {
         // Crear orden aleatorio para jugador que se une tarde
         const shuffledQuestions = shuffleArray(game.questions.map(q => q._id));
 
         const playerData = {
           id: socket.id,
           username,
+          sessionToken,
+          studentId,
+          teamId,
           score: 0,
           correctAnswers: 0,
           totalResponseTime: 0,
           answers: [],
           character: character || null,
           questionOrder: shuffledQuestions,
-          currentQuestionIndex: game.currentQuestion
+          // En modo autónomo el jugador empieza por su primera pregunta
+          currentQuestionIndex: isSelfPaced(game) ? 0 : game.currentQuestion
         };
+        if (!isSelfPaced(game)) {
+          // Recibe la pregunta de la ronda ahora: su tiempo de respuesta cuenta desde aquí
+          playerData.questionDelivery = { round: game.currentQuestion, offset: getRoundTimeElapsed(game) };
+        }
 
         game.players.push(playerData);
         await game.save();
         socket.join(pin);
 
-        // Enviar pregunta actual según el orden aleatorio del nuevo jugador
-        const playerQuestionId = shuffledQuestions[game.currentQuestion];
-        const playerQuestion = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
-
-        const questionStartTime = game.questionStartTime || Date.now();
-        const timeElapsed = Date.now() - questionStartTime;
-        const rawRemaining = Math.floor((game.timeLimitPerQuestion - timeElapsed) / 1000);
-        const timeRemaining = Math.min(
-          Math.floor(game.timeLimitPerQuestion / 1000),
-          Math.max(0, rawRemaining)
-        );
-
-        joinResponse = {
-          ...joinResponse,
-          joinedDuringGame: true,
-          timeRemaining,
-          currentIndex: Math.min(game.currentQuestion + 1, totalQuestions)
-        };
-
-        if (playerQuestion) {
-          socket.emit("game-started", {
-            question: playerQuestion,
-            timeLimit: timeRemaining,
-            currentIndex: game.currentQuestion + 1,
-            totalQuestions: totalQuestions,
-          });
-
-          console.log(`🔄 Jugador ${username} se unió tarde - Pregunta: ${playerQuestion.title}`);
+        if (isSelfPaced(game)) {
+          // Antes de la fecha límite (tras la cuenta regresiva) recibe su pregunta de inmediato
+          if (game.deadline) {
+            await emitPlayerQuestion(game, game.players[game.players.length - 1], io);
+          }
+          emitProgress(game, io);
+          joinResponse = {
+            ...joinResponse,
+            joinedDuringGame: true,
+            mode: game.mode,
+            deadline: game.deadline,
+            currentIndex: 1
+          };
+        } else {
+          // Enviar pregunta actual según el orden aleatorio del nuevo jugador
+          const playerQuestionId = shuffledQuestions[game.currentQuestion];
+          const playerQuestion = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
+
+          // Durante la cuenta regresiva, el paso de ronda o los resultados no hay pregunta
+          // en curso: la recibirá con el resto de jugadores al empezar la siguiente ronda
+          const roundInProgress = game.roundPhase !== "results" && Boolean(game.questionStartTime);
+
+          const timeElapsed = getRoundTimeElapsed(game);
+          const playerTimeLimit = getQuestionTimeLimit(game, playerQuestion);
+          const rawRemaining = Math.floor((playerTimeLimit - timeElapsed) / 1000);
+          const timeRemaining = roundInProgress
+            ? Math.min(Math.floor(playerTimeLimit / 1000), Math.max(0, rawRemaining))
+            : 0;
+
+          joinResponse = {
+            ...joinResponse,
+            joinedDuringGame: true,
+            timeRemaining,
+            currentIndex: Math.min(game.currentQuestion + 1, totalQuestions)
+          };
+
+          if (playerQuestion && roundInProgress) {
+            socket.emit("game-started", {
+              question: toPlayerQuestion(playerQuestion),
+              timeLimit: timeRemaining,
+              currentIndex: game.currentQuestion + 1,
+              totalQuestions: totalQuestions,
+            });
+
+            console.log(`🔄 Jugador ${username} se unió tarde - Pregunta: ${playerQuestion.title}`);
+          }
+          if (game.status === "paused") {
+            socket.emit("game-paused", { timeRemaining });
+          }
         }
         io.to(pin).emit("player-joined", {
-          players: game.players,
+          players: toPublicPlayers(game.players),
           gameInfo: {
             pin: game.pin,
             questionsCount: totalQuestions,
             maxPlayers: 50,
             status: game.status,
-            timeLimitPerQuestion: game.timeLimitPerQuestion / 1000
+            timeLimitPerQuestion: game.timeLimitPerQuestion / 1000,
+            teams: toPublicTeams(game.teams)
           }
         });
 
         io.to(pin).emit("players-updated", {
-          players: game.players
+          players: toPublicPlayers(game.players)
         });
       }
 
@@ -110,6 +193,9 @@ const handleJoinGame = (socket, io) => {
         const playerData = {
           id: socket.id,
           username,
+          sessionToken,
+          studentId,
+          teamId,
           score: 0,
           correctAnswers: 0,
           totalResponseTime: 0,
@@ -124,18 +210,19 @@ const handleJoinGame = (socket, io) => {
         socket.join(pin);
 
         io.to(pin).emit("player-joined", {
-          players: game.players,
+          players: toPublicPlayers(game.players),
           gameInfo: {
             pin: game.pin,
             questionsCount: game.questions.length,
             maxPlayers: 50,
             status: game.status,
-            timeLimitPerQuestion: game.timeLimitPerQuestion / 1000
+            timeLimitPerQuestion: game.timeLimitPerQuestion / 1000,
+            teams: toPublicTeams(game.teams)
           }
         });
 
         io.to(pin).emit("players-updated", {
-          players: game.players
+          players: toPublicPlayers(game.players)
         });
 
         console.log(`Jugador conectado: ${username} con personaje: ${character?.name || "Sin personaje"} - Juego tiene ${game.questions.length} preguntas`);
@@ -152,60 +239,74 @@ const handleJoinGame = (socket, io) => {
   });
 };
 
-/**
- * Función auxiliar para guardar con reintentos en caso de VersionError
- * @param {Function} saveFn - Función que realiza el guardado
- * @param {number} maxRetries - Número máximo de reintentos
- * @returns {Promise} Resultado del guardado
- */
-const saveWithRetry = async (saveFn, maxRetries = 3) => {
-  for (let attempt = 0; attempt < maxRetries; attempt++) {
-    try {
-      return await saveFn();
-    } catch (error) {
-      if (error.name === 'VersionError' && attempt < maxRetries - 1) {
-        console.log(`⚠️ VersionError detectado, reintentando (${attempt + 1}/${maxRetries})...`);
-        // Esperar un tiempo aleatorio antes de reintentar (10-50ms)
-        await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 40));
-        continue;
-      }
-      throw error; // Si no es VersionError o se agotaron los reintentos, lanzar error
-    }
-  }
-};
+// Campos del juego necesarios para evaluar una respuesta (del jugador solo se lee el que responde)
+const SUBMIT_GAME_FIELDS = "pin hostId status roundPhase currentQuestion questionStartTime pausedAt deadline mode scoringMode scoringWeights scoringRules timeLimitPerQuestion";
 
 /**
- * Maneja el envío de respuestas de los jugadores
+ * Maneja el envío de respuestas de los jugadores.
+ * La respuesta se registra con una sola actualización atómica ($push de la respuesta y $inc
+ * del puntaje) que solo se aplica si el jugador todavía no respondió esa pregunta y la
+ * ronda sigue abierta, así que respuestas simultáneas de muchos jugadores no se pisan y
+ * un reenvío de la misma respuesta no se cuenta dos veces.
  * @param {Socket} socket - Socket del cliente
  * @param {Object} io - Instancia de Socket.IO
  */
 const handleSubmitAnswer = (socket, io) => {
-  socket.on("submit-answer", async ({ pin, answer, responseTime, questionId, isAutoSubmit }, callback) => {
-    // Usar saveWithRetry para manejar concurrencia
-    const processAnswer = async () => {
-      const game = await Game.findOne({ pin }).populate("questions");
+  socket.on("submit-answer", async ({ pin, answer, responseTime, questionId, currentIndex, isAutoSubmit }, callback) => {
+    try {
+      const game = await Game.findOne(
+        { pin },
+        { players: { $elemMatch: { id: socket.id } } }
+      ).select(SUBMIT_GAME_FIELDS);
 
       if (!game) {
         return callback({ success: false, error: "Juego no encontrado" });
       }
+      if (game.status === "paused") {
+        return callback({ success: false, error: "El juego está en pausa" });
+      }
       if (game.status !== "playing") {
         return callback({ success: false, error: "Juego no válido" });
       }
 
-      const player = game.players.find(p => p.id === socket.id);
+      const player = game.players && game.players[0];
 
       if (!player) {
         return callback({ success: false, error: "Jugador no encontrado" });
       }
 
       // Obtener la pregunta específica del jugador según su orden aleatorio
-      const playerQuestionId = player.questionOrder[game.currentQuestion];
-      const currentQuestion = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
+      const questionIndex = getPlayerQuestionIndex(game, player);
+
+      // Respuesta enviada para una ronda que ya no es la actual (p. ej. llegó tras avanzar)
+      if (currentIndex != null && currentIndex - 1 !== questionIndex) {
+        return callback({ success: false, error: "La respuesta es de otra ronda", code: ERROR_CODES.WRONG_ROUND });
+      }
+      if (game.roundPhase === "results") {
+        return callback({ success: false, error: "La ronda ya ha finalizado", code: ERROR_CODES.ANSWER_TOO_LATE });
+      }
+
+      const playerQuestionId = player.questionOrder[questionIndex];
+      const currentQuestion = playerQuestionId ? await Question.findById(playerQuestionId) : null;
 
       if (!currentQuestion) {
         return callback({ success: false, error: "Pregunta no encontrada" });
       }
 
+      // El jugador pudo haber avanzado (por timeout o cambio de ronda) mientras respondía
+      if (questionId && questionId !== currentQuestion._id.toString()) {
+        return callback({ success: false, error: "La pregunta ya no está activa", code: ERROR_CODES.WRONG_QUESTION });
+      }
+
+      if (player.answers.some(a => a.questionId.toString() === currentQuestion._id.toString())) {
+        return callback({ success: false, error: "Respuesta ya registrada", code: ERROR_CODES.ALREADY_ANSWERED });
+      }
+
+      // Pasado el límite solo se aceptan las respuestas que llegan dentro del margen
+      if (getAnswerOverrun(game, player, currentQuestion) > ANSWER_GRACE_TIME) {
+        return callback({ success: false, error: "Se agotó el tiempo para responder", code: ERROR_CODES.ANSWER_TOO_LATE });
+      }
+
       console.log("=== VALIDACIÓN DE RESPUESTA ===");
       console.log("Jugador:", player.username);
       console.log("Pregunta del jugador:", currentQuestion.title);
@@ -213,123 +314,155 @@ const handleSubmitAnswer = (socket, io) => {
       console.log("Respuesta correcta:", JSON.stringify(currentQuestion.correctAnswer, null, 2));
 
       // Verificar si la respuesta está vacía
-      const isEmptyAnswer = !answer.pictogram &&
-        (!answer.colors || answer.colors.length === 0) &&
-        !answer.number;
+      const isEmptyAnswer = isAnswerEmpty(answer, currentQuestion);
 
-      let isCorrect = false;
+      let evaluation = { isCorrect: false, credit: 0, breakdown: { pictogram: 0, colors: 0, number: 0 } };
 
       if (!isEmptyAnswer) {
-        isCorrect = isAnswerCorrect(answer, currentQuestion.correctAnswer);
-        console.log(`Validación automática -> ${isCorrect ? 'CORRECTA' : 'INCORRECTA'}`);
+        evaluation = evaluateQuestionAnswer(answer, currentQuestion, {
+          mode: game.scoringMode,
+          weights: game.scoringWeights
+        });
+        console.log(`Validación automática -> ${evaluation.isCorrect ? 'CORRECTA' : 'INCORRECTA'} (crédito ${evaluation.credit.toFixed(2)})`);
       } else {
         console.log("❌ Respuesta vacía");
       }
+      const { isCorrect, credit, breakdown } = evaluation;
 
-      const timeLimitSeconds = game.timeLimitPerQuestion / 1000;
+      const questionTimeLimit = getQuestionTimeLimit(game, currentQuestion);
+      const timeLimitSeconds = questionTimeLimit / 1000;
       const autoSubmission = Boolean(isAutoSubmit);
-      let normalizedResponseTime = Number.isFinite(responseTime) && responseTime >= 0
-        ? responseTime
-        : timeLimitSeconds;
+
+      // El tiempo lo mide el servidor desde que el jugador recibió la pregunta; el del
+      // cliente solo descuenta la latencia (hasta RESPONSE_TIME_TOLERANCE)
+      const serverResponseTime = Math.round(getPlayerResponseElapsed(game, player)) / 1000;
+      const clientResponseTime = Number.isFinite(responseTime) && responseTime >= 0 ? responseTime : null;
+      const timing = resolveResponseTime(clientResponseTime, serverResponseTime, RESPONSE_TIME_TOLERANCE / 1000);
+      let normalizedResponseTime = timing.responseTime;
       if (autoSubmission) {
         normalizedResponseTime = timeLimitSeconds;
       }
 
-      // Calcular puntos
-      let pointsAwarded = 0;
-      if (isCorrect) {
-        pointsAwarded = autoSubmission
-          ? MIN_TIMEOUT_POINTS
-          : calculatePoints(normalizedResponseTime, game.timeLimitPerQuestion);
-        console.log(`✅ RESPUESTA CORRECTA - Puntos: ${pointsAwarded}${autoSubmission ? " (auto)" : ""}`);
+      // Calcular puntos según las reglas del juego
+      const scoringRules = resolveScoringRules(game.scoringRules);
+      let basePoints = 0;
+      if (credit > 0) {
+        const fullPoints = autoSubmission
+          ? scoringRules.minPoints
+          : calculatePoints(normalizedResponseTime, questionTimeLimit, scoringRules);
+        basePoints = Math.floor(fullPoints * credit);
+      }
+
+      // Solo las respuestas completamente correctas mantienen la racha
+      const streak = isCorrect ? (player.streak || 0) + 1 : 0;
+      const streakMultiplier = isCorrect ? getStreakMultiplier(streak, scoringRules) : 1;
+      const streakBonus = Math.floor(basePoints * (streakMultiplier - 1));
+      const pointsAwarded = basePoints + streakBonus;
+
+      if (credit > 0) {
+        console.log(`${isCorrect ? "✅ RESPUESTA CORRECTA" : "🟡 RESPUESTA PARCIAL"} - Puntos: ${pointsAwarded}${streakBonus > 0 ? ` (racha x${streakMultiplier})` : ""}${autoSubmission ? " (auto)" : ""}`);
       } else {
         console.log(`❌ RESPUESTA INCORRECTA - Puntos: 0`);
       }
 
-      // Guardar respuesta o actualizar la existente (por timeout previo)
-      const existing = player.answers.find(a => a.questionId.toString() === currentQuestion._id.toString());
-      if (existing) {
-        const previousResponseTime = Number.isFinite(existing.responseTime)
-          ? existing.responseTime
-          : 0;
-        if (!existing.isCorrect && existing.pointsAwarded === 0) {
-          existing.givenAnswer = answer;
-          existing.isCorrect = isCorrect;
-          existing.pointsAwarded = pointsAwarded;
-          existing.responseTime = normalizedResponseTime;
-          if (isCorrect) {
-            player.score += pointsAwarded;
-            player.correctAnswers += 1;
-          }
-          player.totalResponseTime = Math.max(0, (player.totalResponseTime || 0) - previousResponseTime + normalizedResponseTime);
-        } else {
-          return callback({ success: false, error: "Respuesta ya registrada" });
-        }
+      // Solo se registra si la ronda (o, en modo autónomo, la pregunta del jugador) sigue
+      // siendo la misma y el jugador no tiene ya una respuesta para esa pregunta
+      const playerFilter = { id: socket.id, "answers.questionId": { $ne: currentQuestion._id } };
+      const answerFilter = { _id: game._id, status: "playing", roundPhase: { $ne: "results" } };
+      if (isSelfPaced(game)) {
+        playerFilter.currentQuestionIndex = questionIndex;
       } else {
-        player.answers.push({
-          questionId: currentQuestion._id,
-          givenAnswer: answer,
-          isCorrect,
-          pointsAwarded,
-          responseTime: normalizedResponseTime,
+        answerFilter.currentQuestion = questionIndex;
+      }
+      answerFilter.players = { $elemMatch: playerFilter };
+
+      const updatedGame = await Game.findOneAndUpdate(
+        answerFilter,
+        {
+          $push: {
+            "players.$.answers": {
+              questionId: currentQuestion._id,
+              givenAnswer: normalizeGivenAnswer(currentQuestion, answer),
+              isCorrect,
+              pointsAwarded,
+              credit,
+              breakdown,
+              responseTime: normalizedResponseTime,
+              clientResponseTime,
+              serverResponseTime,
+              suspicious: timing.suspicious,
+              streak,
+              streakBonus,
+            }
+          },
+          $inc: {
+            "players.$.score": pointsAwarded,
+            "players.$.correctAnswers": isCorrect ? 1 : 0,
+            "players.$.totalResponseTime": normalizedResponseTime
+          },
+          $set: { "players.$.streak": streak },
+          $max: { "players.$.bestStreak": streak }
+        },
+        { new: true }
+      );
+
+      if (!updatedGame) {
+        const alreadyAnswered = await Game.exists({
+          _id: game._id,
+          players: { $elemMatch: { id: socket.id, "answers.questionId": currentQuestion._id } }
         });
-        if (isCorrect) {
-          player.score += pointsAwarded;
-          player.correctAnswers += 1;
-        }
-        player.totalResponseTime = (player.totalResponseTime || 0) + normalizedResponseTime;
+        return callback(alreadyAnswered
+          ? { success: false, error: "Respuesta ya registrada", code: ERROR_CODES.ALREADY_ANSWERED }
+          : { success: false, error: "La ronda ya ha finalizado", code: ERROR_CODES.ANSWER_TOO_LATE });
       }
 
-      await game.save();
+      const updatedPlayer = updatedGame.players.find(p => p.id === socket.id);
 
-      console.log(`Jugador ${player.username} - Correcta: ${isCorrect} - Puntos: ${pointsAwarded} - Total: ${player.score}`);
+      console.log(`Jugador ${updatedPlayer.username} - Correcta: ${isCorrect} - Puntos: ${pointsAwarded} - Total: ${updatedPlayer.score}`);
       console.log("=================================");
 
-      return { game, isCorrect, pointsAwarded, player };
-    };
-
-    try {
-      const result = await saveWithRetry(processAnswer);
-
-      callback({ success: true, isCorrect: result.isCorrect, pointsAwarded: result.pointsAwarded });
+      callback({
+        success: true,
+        isCorrect,
+        pointsAwarded,
+        credit,
+        breakdown,
+        streak,
+        streakMultiplier,
+        streakBonus
+      });
 
       io.to(pin).emit("player-answered", {
         playerId: socket.id,
-        isCorrect: result.isCorrect,
-        pointsAwarded: result.pointsAwarded,
-        playerScore: result.player.score,
-      });
-      io.to(pin).emit("ranking-updated", {
-        players: result.game.players
-          .map(p => ({
-            id: p.id,
-            username: p.username,
-            score: p.score || 0,
-            correctAnswers: p.correctAnswers || 0,
-            totalResponseTime: p.totalResponseTime || 0,
-            character: p.character
-          }))
-          .sort((a, b) => {
-            if (b.score !== a.score) return b.score - a.score;
-            if (b.correctAnswers !== a.correctAnswers) return b.correctAnswers - a.correctAnswers;
-            return a.totalResponseTime - b.totalResponseTime;
-          })
+        isCorrect,
+        pointsAwarded,
+        playerScore: updatedPlayer.score,
+        streak,
+        streakBonus,
       });
-      
+      emitRanking(updatedGame, io);
 
-      // Si todos han respondido su pregunta actual, pasar a la siguiente ronda
-      if (haveAllPlayersAnswered(result.game)) {
-        clearQuestionTimer(pin);
-
-        // Actualizar y guardar con retry también
-        await saveWithRetry(async () => {
-          const updatedGame = await Game.findOne({ pin }).populate("questions");
-          updatedGame.currentQuestion += 1;
-          await updatedGame.save();
-          return updatedGame;
-        }).then(nextGame => {
-          emitQuestion(nextGame, nextGame.currentQuestion, io, endGame);
-        });
+      if (timing.suspicious) {
+        console.warn(`⚠️ Tiempo sospechoso de ${updatedPlayer.username}: cliente ${clientResponseTime}s, servidor ${serverResponseTime}s`);
+        if (game.hostId) {
+          io.to(game.hostId).emit("suspicious-answer", {
+            playerId: socket.id,
+            username: updatedPlayer.username,
+            questionId: currentQuestion._id,
+            clientResponseTime,
+            serverResponseTime
+          });
+        }
+      }
+
+      if (isSelfPaced(updatedGame)) {
+        // En modo autónomo el jugador pasa directamente a su siguiente pregunta
+        await advancePlayer(updatedGame._id, updatedPlayer.sessionToken, questionIndex, io);
+      } else if (haveAllPlayersAnswered(updatedGame)) {
+        // Si todos han respondido su pregunta actual, cerrar la ronda con el documento
+        // que devolvió la actualización (sin volver a cargar el juego para comprobarlo).
+        // No se cancela el timer: closeRound es idempotente y reemplaza el CLOSE_ROUND pendiente
+        await closeRound(updatedGame._id, io);
       }
     } catch (error) {
       console.error("Error en submit-answer:", error);
@@ -339,29 +472,35 @@ const handleSubmitAnswer = (socket, io) => {
 };
 
 /**
- * Maneja la desconexión de un jugador
+ * Maneja la desconexión de un jugador.
+ * El jugador se conserva marcado como desconectado durante PLAYER_RECONNECT_GRACE_TIME
+ * para que pueda recuperar su puntaje con rejoin-player.
  * @param {Socket} socket - Socket del cliente
  * @param {Object} io - Instancia de Socket.IO
  */
 const handleDisconnect = (socket, io) => {
   socket.on("disconnect", async () => {
     try {
-      const game = await Game.findOne({ "players.id": socket.id });
+      const game = await Game.findOneAndUpdate(
+        { "players.id": socket.id, status: { $nin: ["finished", "abandoned"] } },
+        { $set: { "players.$.connected": false, "players.$.disconnectedAt": new Date() } },
+        { new: true }
+      );
 
       if (game) {
         const player = game.players.find(p => p.id === socket.id);
         const playerName = player ? player.username : 'Jugador desconocido';
 
-        game.players = game.players.filter(p => p.id !== socket.id);
-        await game.save();
+        if (player && player.sessionToken) {
+          await schedulePlayerRemoval(game._id, player.sessionToken);
+        }
 
-        io.to(game.pin).emit("player-left", {
+        io.to(game.pin).emit("player-disconnected", {
           playerId: socket.id,
-          players: game.players,
         });
 
         io.to(game.pin).emit("players-updated", {
-          players: game.players
+          players: toPublicPlayers(game.players)
         });
 
         console.log(`Jugador ${playerName} se desconectó del juego ${game.pin}`);
@@ -372,6 +511,70 @@ const handleDisconnect = (socket, io) => {
   });
 };
 
+/**
+ * Permite a un jugador recuperar su registro (puntaje y respuestas) con un socket nuevo
+ * usando el reconnectToken que recibió en join-game
+ * @param {Socket} socket - Socket del cliente
+ * @param {Object} io - Instancia de Socket.IO
+ */
+const handleRejoinPlayer = (socket, io) => {
+  socket.on("rejoin-player", async ({ pin, reconnectToken }, callback) => {
+    try {
+      if (!reconnectToken) {
+        return callback({ success: false, error: "Token de reconexión requerido" });
+      }
+
+      const game = await Game.findOneAndUpdate(
+        { pin, status: { $nin: ["finished", "abandoned"] }, "players.sessionToken": reconnectToken },
+        {
+          $set: {
+            "players.$.id": socket.id,
+            "players.$.connected": true,
+            "players.$.disconnectedAt": null
+          }
+        },
+        { new: true }
+      ).populate("questions");
+
+      if (!game) {
+        return callback({ success: false, error: "No se pudo recuperar la sesión del jugador" });
+      }
+
+      await cancelPlayerRemoval(reconnectToken);
+      socket.join(pin);
+
+      const player = game.players.find(p => p.sessionToken === reconnectToken);
+
+      io.to(pin).emit("player-reconnected", {
+        playerId: socket.id,
+      });
+
+      io.to(pin).emit("players-updated", {
+        players: toPublicPlayers(game.players)
+      });
+
+      console.log(`🔌 Jugador ${player.username} se reconectó al juego ${pin}`);
+
+      callback({
+        success: true,
+        gameStatus: game.status,
+        totalQuestions: game.questions.length,
+        player: {
+          id: player.id,
+          username: player.username,
+          character: player.character || null,
+          score: player.score || 0,
+          correctAnswers: player.correctAnswers || 0
+        },
+        currentQuestion: getPlayerQuestionState(game, player)
+      });
+    } catch (error) {
+      console.error("Error en rejoin-player:", error);
+      callback({ success: false, error: error.message });
+    }
+  });
+};
+
 /**
  * Maneja cuando un jugador sale del juego voluntariamente
  * @param {Socket} socket - Socket del cliente
@@ -385,6 +588,11 @@ const handleLeaveGame = (socket, io) => {
       if (game) {
         const playerIndex = game.players.findIndex(p => p.id === socket.id);
         if (playerIndex !== -1) {
+          const { sessionToken } = game.players[playerIndex];
+          if (sessionToken) {
+            await cancelPlayerRemoval(sessionToken);
+            await clearPlayerQuestionTimer(sessionToken);
+          }
           game.players.splice(playerIndex, 1);
           await game.save();
 
@@ -392,11 +600,11 @@ const handleLeaveGame = (socket, io) => {
 
           io.to(pin).emit("player-left", {
             playerId: socket.id,
-            players: game.players,
+            players: toPublicPlayers(game.players),
           });
 
           io.to(pin).emit("players-updated", {
-            players: game.players
+            players: toPublicPlayers(game.players)
           });
 
           console.log(`Jugador ${username} salió del juego ${pin}`);
@@ -429,6 +637,10 @@ const handleKickPlayer = (socket, io) => {
       }
 
       const kickedPlayer = game.players[playerIndex];
+      if (kickedPlayer.sessionToken) {
+        await cancelPlayerRemoval(kickedPlayer.sessionToken);
+        await clearPlayerQuestionTimer(kickedPlayer.sessionToken);
+      }
       game.players.splice(playerIndex, 1);
       await game.save();
 
@@ -440,11 +652,11 @@ const handleKickPlayer = (socket, io) => {
       // Notificar a todos los demás jugadores
       io.to(pin).emit("player-left", {
         playerId: playerId,
-        players: game.players,
+        players: toPublicPlayers(game.players),
       });
 
       io.to(pin).emit("players-updated", {
-        players: game.players
+        players: toPublicPlayers(game.players)
       });
 
       console.log(`Admin expulsó a ${kickedPlayer.username} del juego ${pin}`);
@@ -461,6 +673,7 @@ module.exports = {
   handleJoinGame,
   handleSubmitAnswer,
   handleDisconnect,
+  handleRejoinPlayer,
   handleLeaveGame,
   handleKickPlayer
 };
\ No newline at end of file
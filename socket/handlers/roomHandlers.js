@@ -1,4 +1,12 @@
 const Game = require("../../models/game.model");
+const {
+  toPlayerQuestion,
+  getPlayerRoundQuestion,
+  getPlayerTimeLeft,
+  recordQuestionDelivery
+} = require("../../services/questionService");
+const { getPlayerQuestionIndex } = require("../../services/gameService");
+const { toPublicPlayers } = require("../../services/playerService");
 
 /**
  * Maneja la solicitud de información de jugadores en una sala
@@ -21,7 +29,7 @@ const handleGetRoomPlayers = (socket, io) => {
 
       callback({
         success: true,
-        players: game.players,
+        players: toPublicPlayers(game.players),
         gameInfo: {
           pin: game.pin,
           questionsCount: game.questions.length,
@@ -57,18 +65,19 @@ const handleGetCurrentQuestion = (socket, io) => {
         });
       }
 
-      if (game.status !== "playing") {
+      if (game.status !== "playing" && game.status !== "paused") {
         return callback({
           success: false,
           error: "El juego no está activo"
         });
       }
 
-      // Si hay una pregunta actual activa
-      if (game.currentQuestion >= 0 && game.currentQuestion < game.questions.length) {
-        // Buscar al jugador específico que está solicitando la pregunta
-        const player = game.players.find(p => p.id === socket.id);
+      // Buscar al jugador específico que está solicitando la pregunta
+      const player = game.players.find(p => p.id === socket.id);
+      const questionIndex = player ? getPlayerQuestionIndex(game, player) : game.currentQuestion;
 
+      // Si hay una pregunta actual activa (y no se están mostrando resultados)
+      if (game.roundPhase !== "results" && questionIndex >= 0 && questionIndex < game.questions.length) {
         if (!player) {
           return callback({
             success: false,
@@ -77,8 +86,7 @@ const handleGetCurrentQuestion = (socket, io) => {
         }
 
         // Obtener la pregunta según el orden aleatorio del jugador
-        const playerQuestionId = player.questionOrder[game.currentQuestion];
-        const currentQuestion = game.questions.find(q => q._id.toString() === playerQuestionId.toString());
+        const currentQuestion = getPlayerRoundQuestion(game, player, questionIndex);
 
         if (!currentQuestion) {
           return callback({
@@ -87,16 +95,17 @@ const handleGetCurrentQuestion = (socket, io) => {
           });
         }
 
-        const timeElapsed = Date.now() - (game.questionStartTime || Date.now());
-        const timeRemaining = Math.max(0, Math.floor((game.timeLimitPerQuestion - timeElapsed) / 1000));
+        const timeRemaining = Math.floor(getPlayerTimeLeft(game, player, currentQuestion) / 1000);
 
         if (timeRemaining > 0) {
+          await recordQuestionDelivery(game, player);
           console.log(`📥 get-current-question: Jugador ${player.username} recibe pregunta: ${currentQuestion.title}`);
           return callback({
             success: true,
-            question: currentQuestion,
+            question: toPlayerQuestion(currentQuestion),
             timeLeft: timeRemaining,
-            currentIndex: game.currentQuestion + 1,
+            paused: game.status === "paused",
+            currentIndex: questionIndex + 1,
             totalQuestions: game.questions.length
           });
         }
@@ -1,8 +1,17 @@
-const { handleCreateGame, handleStartGame, handleRejoinHost } = require("./handlers/gameHandlers");
+const {
+  handleCreateGame,
+  handleStartGame,
+  handleRejoinHost,
+  handlePauseGame,
+  handleResumeGame,
+  handleSkipQuestion,
+  handleEndGame
+} = require("./handlers/gameHandlers");
 const {
   handleJoinGame,
   handleSubmitAnswer,
   handleDisconnect,
+  handleRejoinPlayer,
   handleLeaveGame,
   handleKickPlayer
 } = require("./handlers/playerHandlers");
@@ -10,6 +19,8 @@ const {
   handleGetRoomPlayers,
   handleGetCurrentQuestion
 } = require("./handlers/roomHandlers");
+const { hostAuth } = require("./middleware/hostAuth");
+const { validatePayload } = require("./middleware/validatePayload");
 
 /**
  * Configura todos los manejadores de eventos de Socket.IO
@@ -19,10 +30,18 @@ const setupSocketHandlers = (io) => {
   io.on("connection", (socket) => {
     console.log("Socket conectado:", socket.id);
 
+    // Validar la forma de cada payload y, en eventos de host, el hostToken
+    socket.use(validatePayload(socket));
+    socket.use(hostAuth(socket));
+
     // Handlers de juego
     handleCreateGame(socket, io);
     handleStartGame(socket, io);
     handleRejoinHost(socket, io);
+    handlePauseGame(socket, io);
+    handleResumeGame(socket, io);
+    handleSkipQuestion(socket, io);
+    handleEndGame(socket, io);
 
     // Handlers de jugadores
     handleJoinGame(socket, io);
@@ -30,6 +49,7 @@ const setupSocketHandlers = (io) => {
     handleLeaveGame(socket, io);
     handleKickPlayer(socket, io);
     handleDisconnect(socket, io);
+    handleRejoinPlayer(socket, io);
 
     // Handlers de sala
     handleGetRoomPlayers(socket, io);
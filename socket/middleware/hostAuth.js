@@ -0,0 +1,58 @@
+const Game = require("../../models/game.model");
+const ERROR_CODES = require("../../config/errorCodes");
+const { tokensMatch } = require("../../utils/generateToken");
+
+/**
+ * Eventos que solo puede emitir el host del juego.
+ * Todos deben enviar { pin, hostToken } en su payload.
+ */
+const HOST_EVENTS = [
+  "start-game",
+  "pause-game",
+  "resume-game",
+  "skip-question",
+  "end-game",
+  "kick-player",
+  "rejoin-host"
+];
+
+/**
+ * Crea el middleware de Socket.IO que exige el hostToken en los eventos de host.
+ * Si la validación falla responde por el callback del evento y no lo propaga.
+ * @param {Socket} socket - Socket del cliente
+ * @returns {Function} Middleware ([event, ...args], next)
+ */
+const hostAuth = (socket) => async ([event, payload, ...args], next) => {
+  if (!HOST_EVENTS.includes(event)) {
+    return next();
+  }
+
+  const callback = args.find(arg => typeof arg === "function");
+  const reject = (error) => {
+    if (callback) {
+      callback({ success: false, error, code: ERROR_CODES.HOST_UNAUTHORIZED });
+    }
+  };
+
+  try {
+    const { pin, hostToken } = payload || {};
+    if (!pin || !hostToken) {
+      return reject("Se requiere el token de host");
+    }
+
+    const game = await Game.findOne({ pin }).select("+hostToken");
+    if (!game || !tokensMatch(hostToken, game.hostToken)) {
+      return reject("No autorizado: token de host inválido");
+    }
+
+    next();
+  } catch (error) {
+    console.error("Error en autenticación de host:", error);
+    reject(error.message);
+  }
+};
+
+module.exports = {
+  HOST_EVENTS,
+  hostAuth
+};
@@ -0,0 +1,49 @@
+const EVENT_SCHEMAS = require("../schemas");
+const ERROR_CODES = require("../../config/errorCodes");
+const validateSchema = require("../../utils/validateSchema");
+const { normalizePin } = require("../../services/pinService");
+
+/**
+ * Construye la respuesta de error para un payload inválido
+ * @param {Array<{field: string, message: string}>} details - Errores por campo
+ * @returns {Object} {success: false, error, code, details}
+ */
+const invalidPayloadResponse = (details) => ({
+  success: false,
+  error: "Datos inválidos",
+  code: ERROR_CODES.INVALID_PAYLOAD,
+  details
+});
+
+/**
+ * Crea el middleware de Socket.IO que valida el payload de cada evento contra su
+ * esquema (socket/schemas). Si es inválido responde por el callback y no lo propaga.
+ * Antes normaliza el PIN del payload, así todos los handlers buscan el PIN canónico.
+ * @param {Socket} socket - Socket del cliente
+ * @returns {Function} Middleware ([event, ...args], next)
+ */
+const validatePayload = (socket) => ([event, payload, ...args], next) => {
+  if (payload && typeof payload.pin === "string") {
+    payload.pin = normalizePin(payload.pin);
+  }
+
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return next();
+  }
+
+  const errors = validateSchema(payload, schema);
+  if (errors.length === 0) {
+    return next();
+  }
+
+  const callback = args.find(arg => typeof arg === "function");
+  if (callback) {
+    callback(invalidPayloadResponse(errors));
+  }
+};
+
+module.exports = {
+  invalidPayloadResponse,
+  validatePayload
+};
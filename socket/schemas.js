@@ -0,0 +1,221 @@
+const {
+  SCORING_MODES,
+  PIN_FORMATS,
+  MIN_TIME_LIMIT,
+  MAX_TIME_LIMIT,
+  GAME_MODES,
+  MIN_SELF_PACED_DURATION,
+  MAX_SELF_PACED_DURATION,
+  MIN_TEAMS,
+  MAX_TEAMS,
+  TEAM_AGGREGATIONS,
+  DECAY_CURVES,
+  MAX_QUESTION_POINTS,
+  MAX_STREAK_MULTIPLIER,
+  DEFAULT_SCORING_RULES
+} = require("../config/constants");
+const { normalizeMemberName } = require("../services/teamService");
+
+/**
+ * Esquemas de los payloads de cada evento de Socket.IO (ver utils/validateSchema).
+ * Los eventos sin esquema no se validan.
+ */
+
+const pin = { type: "string", required: true, minLength: 1, maxLength: 12 };
+const hostToken = { type: "string", required: true, minLength: 1 };
+
+const hostPayload = (properties = {}) => ({
+  type: "object",
+  required: true,
+  properties: { pin, hostToken, ...properties }
+});
+
+/**
+ * Reglas de los equipos de create-game que no expresa el esquema:
+ * nombres únicos y cada jugador asignado a un solo equipo
+ * @param {Array<{name: string, members: Array<string>}>} teams - Equipos recibidos
+ * @returns {Array<{field: string, message: string}>} Errores encontrados
+ */
+const validateTeams = (teams) => {
+  const errors = [];
+  const teamNames = new Set();
+  const memberNames = new Set();
+
+  teams.forEach((team, index) => {
+    const teamName = team.name.trim().toLowerCase();
+    if (teamNames.has(teamName)) {
+      errors.push({ field: `teams[${index}].name`, message: "Nombre de equipo repetido" });
+    }
+    teamNames.add(teamName);
+
+    (team.members || []).forEach((member, memberIndex) => {
+      const memberName = normalizeMemberName(member);
+      if (memberNames.has(memberName)) {
+        errors.push({ field: `teams[${index}].members[${memberIndex}]`, message: "Jugador asignado a más de un equipo" });
+      }
+      memberNames.add(memberName);
+    });
+  });
+
+  return errors;
+};
+
+const EVENT_SCHEMAS = {
+  "create-game": {
+    type: "object",
+    required: true,
+    properties: {
+      timeLimit: { type: "number", min: MIN_TIME_LIMIT, max: MAX_TIME_LIMIT },
+      questionIds: { type: "array", minLength: 1, uniqueItems: true, items: { type: "objectId", required: true } },
+      questionSetId: { type: "objectId" },
+      scoringMode: { type: "string", enum: SCORING_MODES },
+      scoringWeights: {
+        type: "object",
+        properties: {
+          pictogram: { type: "number", min: 0 },
+          colors: { type: "number", min: 0 },
+          number: { type: "number", min: 0 }
+        }
+      },
+      scoringRules: {
+        type: "object",
+        properties: {
+          maxPoints: { type: "number", min: 1, max: MAX_QUESTION_POINTS },
+          minPoints: { type: "number", min: 0, max: MAX_QUESTION_POINTS },
+          decay: { type: "string", enum: DECAY_CURVES },
+          streakMultipliers: {
+            type: "array",
+            maxLength: 10,
+            items: {
+              type: "object",
+              required: true,
+              properties: {
+                streak: { type: "number", required: true, min: 2 },
+                multiplier: { type: "number", required: true, min: 1, max: MAX_STREAK_MULTIPLIER }
+              }
+            }
+          }
+        },
+        validate: (rules) => {
+          const errors = [];
+          const maxPoints = rules.maxPoints ?? DEFAULT_SCORING_RULES.maxPoints;
+          const minPoints = rules.minPoints ?? DEFAULT_SCORING_RULES.minPoints;
+          if (minPoints > maxPoints) {
+            errors.push({ field: "minPoints", message: `No puede ser mayor que maxPoints (${maxPoints})` });
+          }
+          const streaks = new Set();
+          (rules.streakMultipliers || []).forEach(({ streak }, index) => {
+            if (!Number.isInteger(streak)) {
+              errors.push({ field: `streakMultipliers[${index}].streak`, message: "Debe ser un número entero" });
+            } else if (streaks.has(streak)) {
+              errors.push({ field: `streakMultipliers[${index}].streak`, message: "Racha repetida" });
+            }
+            streaks.add(streak);
+          });
+          return errors;
+        }
+      },
+      pinFormat: { type: "string", enum: PIN_FORMATS },
+      mode: { type: "string", enum: GAME_MODES },
+      // Duración total del juego autónomo (minutos)
+      duration: { type: "number", min: MIN_SELF_PACED_DURATION, max: MAX_SELF_PACED_DURATION },
+      // Equipos definidos por el host; members asigna jugadores por nombre de usuario
+      teams: {
+        type: "array",
+        minLength: MIN_TEAMS,
+        maxLength: MAX_TEAMS,
+        items: {
+          type: "object",
+          required: true,
+          properties: {
+            name: { type: "string", required: true, minLength: 1, maxLength: 30 },
+            members: { type: "array", items: { type: "string", required: true, minLength: 1, maxLength: 30 } }
+          }
+        }
+      },
+      teamScoring: { type: "string", enum: TEAM_AGGREGATIONS }
+    },
+    validate: (data) => {
+      const errors = data.teams ? validateTeams(data.teams) : [];
+      // Sin conjunto guardado, el tiempo y las preguntas son obligatorios
+      if (data.questionSetId) return errors;
+      if (data.timeLimit === undefined) {
+        errors.push({ field: "timeLimit", message: "Campo obligatorio" });
+      }
+      if (data.questionIds === undefined) {
+        errors.push({ field: "questionIds", message: "Campo obligatorio (o enviar questionSetId)" });
+      }
+      return errors;
+    }
+  },
+
+  "start-game": hostPayload(),
+  "rejoin-host": hostPayload(),
+  "pause-game": hostPayload(),
+  "resume-game": hostPayload(),
+  "skip-question": hostPayload(),
+  "end-game": hostPayload(),
+  "kick-player": hostPayload({
+    playerId: { type: "string", required: true, minLength: 1 }
+  }),
+
+  "join-game": {
+    type: "object",
+    required: true,
+    properties: {
+      pin,
+      username: { type: "string", required: true, minLength: 1, maxLength: 30 },
+      character: { type: "object", nullable: true },
+      studentCode: { type: "string", maxLength: 40 },
+      classCode: { type: "string", maxLength: 40 },
+      teamId: { type: "objectId", nullable: true }
+    }
+  },
+
+  "rejoin-player": {
+    type: "object",
+    required: true,
+    properties: {
+      pin,
+      reconnectToken: { type: "string", required: true, minLength: 1 }
+    }
+  },
+
+  "submit-answer": {
+    type: "object",
+    required: true,
+    properties: {
+      pin,
+      answer: {
+        type: "object",
+        required: true,
+        properties: {
+          pictogram: { type: "string", nullable: true },
+          colors: { type: "array", nullable: true, items: { type: "string" } },
+          number: { type: "any", nullable: true },
+          option: { type: "number", nullable: true, min: 0 },
+          value: { type: "boolean", nullable: true }
+        }
+      },
+      responseTime: { type: "number", nullable: true },
+      questionId: { type: "objectId", nullable: true },
+      // currentIndex (desde 1) que el jugador recibió junto con la pregunta
+      currentIndex: { type: "number", nullable: true, min: 1 },
+      isAutoSubmit: { type: "boolean" }
+    }
+  },
+
+  "leave-game": {
+    type: "object",
+    required: true,
+    properties: {
+      pin,
+      username: { type: "string" }
+    }
+  },
+
+  "get-room-players": { type: "object", required: true, properties: { pin } },
+  "get-current-question": { type: "object", required: true, properties: { pin } }
+};
+
+module.exports = EVENT_SCHEMAS;
@@ -0,0 +1,32 @@
+/**
+ * Escapa un valor para una celda CSV.
+ * Los textos que empiezan por =, +, - o @ se prefijan con ' para que las hojas
+ * de cálculo no los interpreten como fórmulas (los nombres los escriben los alumnos).
+ * @param {*} value - Valor de la celda
+ * @returns {string} Celda escapada
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Convierte una fila a una línea CSV
+ * @param {Array} values - Valores de la fila
+ * @returns {string} Línea CSV terminada en \r\n
+ */
+const toCsvLine = (values) => `${values.map(escapeCsvValue).join(",")}\r\n`;
+
+module.exports = {
+  escapeCsvValue,
+  toCsvLine
+};
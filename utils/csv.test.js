@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { escapeCsvValue, toCsvLine } = require("./csv");
+
+describe("escapeCsvValue", () => {
+  it("deja vacías las celdas sin valor", () => {
+    assert.equal(escapeCsvValue(null), "");
+    assert.equal(escapeCsvValue(undefined), "");
+  });
+
+  it("no modifica los valores simples", () => {
+    assert.equal(escapeCsvValue("Ana"), "Ana");
+    assert.equal(escapeCsvValue(12.5), "12.5");
+    assert.equal(escapeCsvValue(-3), "-3", "los números negativos no son fórmulas");
+  });
+
+  it("entrecomilla las celdas con comas, comillas o saltos de línea", () => {
+    assert.equal(escapeCsvValue("a,b"), "\"a,b\"");
+    assert.equal(escapeCsvValue("dice \"hola\""), "\"dice \"\"hola\"\"\"");
+    assert.equal(escapeCsvValue("línea 1\nlínea 2"), "\"línea 1\nlínea 2\"");
+    assert.equal(escapeCsvValue("a\r\nb"), "\"a\r\nb\"");
+  });
+
+  it("neutraliza los textos que una hoja de cálculo tomaría como fórmula", () => {
+    assert.equal(escapeCsvValue("=SUMA(A1:A2)"), "'=SUMA(A1:A2)");
+    assert.equal(escapeCsvValue("+56"), "'+56");
+    assert.equal(escapeCsvValue("-x"), "'-x");
+    assert.equal(escapeCsvValue("@usuario"), "'@usuario");
+    assert.equal(escapeCsvValue("=HYPERLINK(\"x\",\"y\")"), "\"'=HYPERLINK(\"\"x\"\",\"\"y\"\")\"");
+  });
+});
+
+describe("toCsvLine", () => {
+  it("une las celdas escapadas con comas y termina en \\r\\n", () => {
+    assert.equal(toCsvLine(["Ana", 10, null, "a,b"]), "Ana,10,,\"a,b\"\r\n");
+  });
+});
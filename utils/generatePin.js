@@ -1,9 +1,23 @@
+const crypto = require("crypto");
+const { PIN_LENGTH, PIN_ALPHABETS } = require("../config/constants");
+
 /**
- * Genera un PIN aleatorio único de 6 caracteres alfanuméricos en mayúsculas
- * @returns {string} PIN generado (ej: "A3F9K2")
+ * Genera un PIN aleatorio de longitud fija
+ * El formato alfanumérico excluye caracteres ambiguos (0/O, 1/I)
+ * @param {Object} options - Opciones del PIN
+ * @param {string} options.format - "alphanumeric" (ej: "A3F9K2") o "numeric" (ej: "482019")
+ * @param {number} options.length - Longitud del PIN (por defecto PIN_LENGTH)
+ * @returns {string} PIN generado
  */
-const generatePin = () => {
-  return Math.random().toString(36).substring(2, 8).toUpperCase();
+const generatePin = ({ format = "alphanumeric", length = PIN_LENGTH } = {}) => {
+  const alphabet = PIN_ALPHABETS[format] || PIN_ALPHABETS.alphanumeric;
+  let pin = "";
+
+  for (let i = 0; i < length; i++) {
+    pin += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  return pin;
 };
 
-module.exports = generatePin;
\ No newline at end of file
+module.exports = generatePin;
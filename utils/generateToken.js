@@ -0,0 +1,31 @@
+const crypto = require("crypto");
+
+/**
+ * Genera un token aleatorio seguro para autenticar sockets
+ * @param {number} bytes - Bytes de entropía (por defecto 24)
+ * @returns {string} Token en hexadecimal
+ */
+const generateToken = (bytes = 24) => {
+  return crypto.randomBytes(bytes).toString("hex");
+};
+
+/**
+ * Compara dos tokens en tiempo constante
+ * @param {string} received - Token enviado por el cliente
+ * @param {string} expected - Token guardado
+ * @returns {boolean} true si coinciden
+ */
+const tokensMatch = (received, expected) => {
+  if (typeof received !== "string" || typeof expected !== "string") return false;
+
+  const receivedBuffer = Buffer.from(received);
+  const expectedBuffer = Buffer.from(expected);
+  if (receivedBuffer.length !== expectedBuffer.length) return false;
+
+  return crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+};
+
+module.exports = {
+  generateToken,
+  tokensMatch
+};
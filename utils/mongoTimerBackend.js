@@ -0,0 +1,96 @@
+const ScheduledTimer = require("../models/scheduledTimer.model");
+const { generateToken } = require("./generateToken");
+const { TIMER_POLL_INTERVAL, TIMER_LEASE_TIME } = require("../config/constants");
+
+/**
+ * Backend de timers persistidos en MongoDB. Cada instancia busca periódicamente los
+ * timers vencidos y toma un lease sobre el que va a ejecutar: mientras dura, ninguna
+ * otra instancia lo ejecuta. Como los timers de ronda usan la clave del juego, la
+ * instancia con el lease es la única que avanza esa partida; si se cae a mitad,
+ * otra la retoma cuando el lease expira (los manejadores toleran ejecutarse dos veces).
+ * @param {Function} run - Función que ejecuta un timer vencido
+ * @param {Object} options - Opciones
+ * @param {number} options.pollInterval - Cada cuánto se buscan timers vencidos (ms)
+ * @param {number} options.leaseTime - Duración del lease sobre un timer (ms)
+ * @returns {Object} Backend {schedule, cancel, has, start, stop}
+ */
+const createMongoBackend = (run, { pollInterval = TIMER_POLL_INTERVAL, leaseTime = TIMER_LEASE_TIME } = {}) => {
+  const instanceId = generateToken(8);
+  let pollTimer = null;
+  let polling = false;
+
+  /**
+   * Toma el lease del timer vencido más antiguo que no tenga un lease vigente
+   * @returns {Promise<Object|null>} Timer tomado o null si no hay ninguno
+   */
+  const claimNext = () => {
+    const now = new Date();
+    return ScheduledTimer.findOneAndUpdate(
+      { runAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedBy: instanceId, lockedUntil: new Date(now.getTime() + leaseTime) } },
+      { sort: { runAt: 1 }, new: true }
+    ).lean();
+  };
+
+  const runClaimed = async (timer) => {
+    await run(timer);
+    // Si el manejador reprogramó la misma clave, el token cambió y el timer nuevo se conserva
+    await ScheduledTimer.deleteOne({ _id: timer._id, token: timer.token });
+  };
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      let timer;
+      while (pollTimer && (timer = await claimNext())) {
+        runClaimed(timer).catch((error) => {
+          console.error(`Error al completar el timer ${timer.key}:`, error);
+        });
+      }
+    } catch (error) {
+      console.error("Error al buscar timers vencidos:", error);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    schedule: async (key, handler, delay, payload) => {
+      const update = {
+        $set: {
+          handler,
+          payload,
+          runAt: new Date(Date.now() + delay),
+          token: generateToken(8),
+          lockedBy: null,
+          lockedUntil: null
+        }
+      };
+
+      try {
+        await ScheduledTimer.updateOne({ key }, update, { upsert: true });
+      } catch (error) {
+        // Dos upserts simultáneos de la misma clave: el segundo actualiza el que ya existe
+        if (error.code !== 11000) throw error;
+        await ScheduledTimer.updateOne({ key }, update);
+      }
+    },
+    cancel: async (key) => {
+      await ScheduledTimer.deleteOne({ key });
+    },
+    has: async (key) => Boolean(await ScheduledTimer.exists({ key })),
+    start: () => {
+      pollTimer = setInterval(poll, pollInterval);
+      poll();
+    },
+    stop: async () => {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+};
+
+module.exports = {
+  createMongoBackend
+};
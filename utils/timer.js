@@ -1,52 +1,202 @@
+const { TIMER_BACKEND } = require("../config/constants");
+
 /**
- * Almacena los timers de cada partida para poder cancelarlos
- * Key: PIN del juego
- * Value: Timer ID de setTimeout
+ * Manejadores de timers registrados por nombre. Los timers guardan el nombre del
+ * manejador y un payload serializable, para poder persistirlos y ejecutarlos en
+ * cualquier instancia del servidor.
+ * Key: nombre del manejador (TIMER_HANDLERS)
+ * Value: función async (payload, io)
  */
-const questionTimers = new Map();
+const timerHandlers = new Map();
+
+// Instancia de Socket.IO que reciben los manejadores (se fija en startTimers)
+let timerIO = null;
 
 /**
- * Guarda un timer para un juego específico
- * @param {string} pin - PIN del juego
- * @param {NodeJS.Timeout} timer - ID del timer
+ * Registra el manejador que se ejecuta cuando vence un timer con ese nombre
+ * @param {string} name - Nombre del manejador
+ * @param {Function} handler - Función async (payload, io)
  */
-const setQuestionTimer = (pin, timer) => {
-  questionTimers.set(pin, timer);
+const defineTimerHandler = (name, handler) => {
+  timerHandlers.set(name, handler);
 };
 
 /**
- * Obtiene el timer de un juego específico
- * @param {string} pin - PIN del juego
- * @returns {NodeJS.Timeout|undefined} Timer ID o undefined
+ * Ejecuta el manejador de un timer vencido. Los errores se registran y no se reintentan.
+ * @param {Object} timer - Timer vencido
+ * @param {string} timer.key - Clave del timer
+ * @param {string} timer.handler - Nombre del manejador
+ * @param {Object} timer.payload - Datos del timer
+ */
+const runTimer = async ({ key, handler, payload }) => {
+  const timerHandler = timerHandlers.get(handler);
+  if (!timerHandler) {
+    console.error(`Timer ${key}: no hay un manejador registrado para "${handler}"`);
+    return;
+  }
+
+  try {
+    await timerHandler(payload || {}, timerIO);
+  } catch (error) {
+    console.error(`Error en el timer ${key} (${handler}):`, error);
+  }
+};
+
+/**
+ * Backend de timers en memoria: solo sirve con una instancia y se pierde al reiniciar
+ * @param {Function} run - Función que ejecuta un timer vencido
+ * @returns {Object} Backend {schedule, cancel, has, start, stop}
+ */
+const createMemoryBackend = (run) => {
+  const timers = new Map();
+
+  const cancel = async (key) => {
+    const timer = timers.get(key);
+    if (timer) {
+      clearTimeout(timer);
+      timers.delete(key);
+    }
+  };
+
+  return {
+    schedule: async (key, handler, delay, payload) => {
+      await cancel(key);
+      const timer = setTimeout(() => {
+        timers.delete(key);
+        run({ key, handler, payload });
+      }, delay);
+      timers.set(key, timer);
+    },
+    cancel,
+    has: async (key) => timers.has(key),
+    start: () => {},
+    stop: async () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+};
+
+let backend = createMemoryBackend(runTimer);
+
+/**
+ * Arranca el backend de timers configurado. Con "mongo" los timers se guardan en la
+ * base de datos y cualquier instancia ejecuta los vencidos, incluso tras un reinicio.
+ * @param {Object} io - Instancia de Socket.IO que reciben los manejadores
+ * @param {Object} options - Opciones
+ * @param {string} options.backend - "memory" o "mongo" (por defecto TIMER_BACKEND)
+ */
+const startTimers = async (io, { backend: backendName = TIMER_BACKEND } = {}) => {
+  timerIO = io;
+
+  await backend.stop();
+  if (backendName === "mongo") {
+    const { createMongoBackend } = require("./mongoTimerBackend");
+    backend = createMongoBackend(runTimer);
+  } else {
+    backend = createMemoryBackend(runTimer);
+  }
+  backend.start();
+
+  console.log(`Timers de partidas en ${backendName === "mongo" ? "MongoDB" : "memoria"}`);
+};
+
+/**
+ * Programa un timer (reemplaza el que tuviera la misma clave)
+ * @param {string} key - Clave del timer
+ * @param {string} handler - Nombre del manejador registrado
+ * @param {number} delay - Milisegundos hasta que vence
+ * @param {Object} payload - Datos serializables para el manejador
+ * @returns {Promise<void>}
  */
-const getQuestionTimer = (pin) => {
-  return questionTimers.get(pin);
+const scheduleTimer = (key, handler, delay, payload = {}) => {
+  return backend.schedule(key, handler, Math.max(0, delay), payload);
 };
 
 /**
- * Elimina el timer de un juego específico
+ * Cancela un timer (no hace nada si no existe)
+ * @param {string} key - Clave del timer
+ * @returns {Promise<void>}
+ */
+const cancelTimer = (key) => backend.cancel(key);
+
+/**
+ * Indica si hay un timer pendiente con esa clave
+ * @param {string} key - Clave del timer
+ * @returns {Promise<boolean>}
+ */
+const hasTimer = (key) => backend.has(key);
+
+/**
+ * Programa el timer de un juego (ronda, cuenta regresiva o fecha límite)
  * @param {string} pin - PIN del juego
- * @returns {boolean} true si se eliminó, false si no existía
+ * @param {string} handler - Nombre del manejador
+ * @param {number} delay - Milisegundos hasta que vence
+ * @param {Object} payload - Datos para el manejador
  */
-const deleteQuestionTimer = (pin) => {
-  return questionTimers.delete(pin);
+const setQuestionTimer = (pin, handler, delay, payload) => {
+  return scheduleTimer(`question:${pin}`, handler, delay, payload);
 };
 
 /**
- * Cancela y elimina el timer de un juego
+ * Cancela el timer de un juego
  * @param {string} pin - PIN del juego
  */
-const clearQuestionTimer = (pin) => {
-  const timer = questionTimers.get(pin);
-  if (timer) {
-    clearTimeout(timer);
-    questionTimers.delete(pin);
-  }
+const clearQuestionTimer = (pin) => cancelTimer(`question:${pin}`);
+
+/**
+ * Indica si el juego tiene un timer pendiente (alguna instancia está avanzando la partida)
+ * @param {string} pin - PIN del juego
+ * @returns {Promise<boolean>}
+ */
+const hasQuestionTimer = (pin) => hasTimer(`question:${pin}`);
+
+/**
+ * Programa la eliminación de un jugador desconectado (cancela una anterior si existía)
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @param {string} handler - Nombre del manejador
+ * @param {number} delay - Milisegundos hasta que vence
+ * @param {Object} payload - Datos para el manejador
+ */
+const setPlayerTimer = (sessionToken, handler, delay, payload) => {
+  return scheduleTimer(`player:${sessionToken}`, handler, delay, payload);
+};
+
+/**
+ * Cancela la eliminación programada de un jugador
+ * @param {string} sessionToken - Token de sesión del jugador
+ */
+const clearPlayerTimer = (sessionToken) => cancelTimer(`player:${sessionToken}`);
+
+/**
+ * Programa el timeout de la pregunta actual de un jugador en modo autónomo
+ * (cancela uno anterior si existía)
+ * @param {string} sessionToken - Token de sesión del jugador
+ * @param {string} handler - Nombre del manejador
+ * @param {number} delay - Milisegundos hasta que vence
+ * @param {Object} payload - Datos para el manejador
+ */
+const setPlayerQuestionTimer = (sessionToken, handler, delay, payload) => {
+  return scheduleTimer(`player-question:${sessionToken}`, handler, delay, payload);
 };
 
+/**
+ * Cancela el timeout de la pregunta actual de un jugador
+ * @param {string} sessionToken - Token de sesión del jugador
+ */
+const clearPlayerQuestionTimer = (sessionToken) => cancelTimer(`player-question:${sessionToken}`);
+
 module.exports = {
+  defineTimerHandler,
+  startTimers,
+  scheduleTimer,
+  cancelTimer,
+  hasTimer,
   setQuestionTimer,
-  getQuestionTimer,
-  deleteQuestionTimer,
-  clearQuestionTimer
-};
\ No newline at end of file
+  clearQuestionTimer,
+  hasQuestionTimer,
+  setPlayerTimer,
+  clearPlayerTimer,
+  setPlayerQuestionTimer,
+  clearPlayerQuestionTimer
+};
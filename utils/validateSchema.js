@@ -0,0 +1,119 @@
+const mongoose = require("mongoose");
+
+/**
+ * Valida un valor contra un esquema declarativo sencillo.
+ *
+ * Opciones de un esquema:
+ *  - type: "string" | "number" | "boolean" | "object" | "array" | "objectId" | "any"
+ *  - required: el valor no puede ser undefined
+ *  - nullable: se acepta null
+ *  - enum: lista de valores permitidos
+ *  - min / max: límites numéricos
+ *  - minLength / maxLength: límites de longitud (string y array)
+ *  - properties: esquemas de cada propiedad (object)
+ *  - items / uniqueItems: esquema de cada elemento y sin duplicados (array)
+ *  - validate(value): reglas adicionales, devuelve [{field, message}] relativos al valor
+ *
+ * @param {*} value - Valor a validar
+ * @param {Object} schema - Esquema
+ * @param {string} path - Ruta del campo (para los mensajes)
+ * @returns {Array<{field: string, message: string}>} Errores encontrados
+ */
+const validateSchema = (value, schema, path = "") => {
+  const field = path || "payload";
+
+  if (value === undefined) {
+    return schema.required ? [{ field, message: "Campo obligatorio" }] : [];
+  }
+  if (value === null) {
+    return schema.nullable ? [] : [{ field, message: "No puede ser nulo" }];
+  }
+
+  const typeError = checkType(value, schema.type);
+  if (typeError) {
+    return [{ field, message: typeError }];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `Valor no permitido. Valores permitidos: ${schema.enum.join(", ")}` });
+  }
+
+  if (schema.type === "number") {
+    if (schema.min !== undefined && value < schema.min) {
+      errors.push({ field, message: `Debe ser mayor o igual a ${schema.min}` });
+    }
+    if (schema.max !== undefined && value > schema.max) {
+      errors.push({ field, message: `Debe ser menor o igual a ${schema.max}` });
+    }
+  }
+
+  if (schema.type === "string" || schema.type === "array") {
+    const length = schema.type === "string" ? value.trim().length : value.length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push({ field, message: `Debe tener al menos ${schema.minLength} ${schema.type === "string" ? "caracteres" : "elementos"}` });
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push({ field, message: `Debe tener como máximo ${schema.maxLength} ${schema.type === "string" ? "caracteres" : "elementos"}` });
+    }
+  }
+
+  if (schema.type === "object" && schema.properties) {
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      errors.push(...validateSchema(value[key], propertySchema, path ? `${path}.${key}` : key));
+    });
+  }
+
+  if (schema.type === "array") {
+    const seen = new Set();
+    value.forEach((item, index) => {
+      const itemPath = `${field}[${index}]`;
+      if (schema.items) {
+        errors.push(...validateSchema(item, schema.items, itemPath));
+      }
+      if (schema.uniqueItems) {
+        const key = String(item);
+        if (seen.has(key)) {
+          errors.push({ field: itemPath, message: "Valor duplicado" });
+        }
+        seen.add(key);
+      }
+    });
+  }
+
+  if (errors.length === 0 && typeof schema.validate === "function") {
+    schema.validate(value).forEach((error) => {
+      errors.push({ ...error, field: path ? `${path}.${error.field}` : error.field });
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Comprueba el tipo de un valor
+ * @param {*} value - Valor a comprobar
+ * @param {string} type - Tipo esperado
+ * @returns {string|null} Mensaje de error o null si el tipo es correcto
+ */
+const checkType = (value, type) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string" ? null : "Debe ser un texto";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : "Debe ser un número";
+    case "boolean":
+      return typeof value === "boolean" ? null : "Debe ser verdadero o falso";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value) ? null : "Debe ser un objeto";
+    case "array":
+      return Array.isArray(value) ? null : "Debe ser una lista";
+    case "objectId":
+      return mongoose.isObjectIdOrHexString(value) ? null : "ID no válido";
+    default:
+      return null;
+  }
+};
+
+module.exports = validateSchema;
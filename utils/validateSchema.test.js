@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const validateSchema = require("./validateSchema");
+
+const fields = (errors) => errors.map(e => e.field);
+
+describe("validateSchema", () => {
+  it("exige los campos obligatorios y acepta los opcionales ausentes", () => {
+    assert.deepEqual(validateSchema(undefined, { type: "string", required: true }), [
+      { field: "payload", message: "Campo obligatorio" }
+    ]);
+    assert.deepEqual(validateSchema(undefined, { type: "string" }), []);
+  });
+
+  it("solo acepta null si el campo es nullable", () => {
+    assert.deepEqual(validateSchema(null, { type: "number", nullable: true }), []);
+    assert.equal(validateSchema(null, { type: "number" }).length, 1);
+  });
+
+  it("comprueba el tipo", () => {
+    assert.equal(validateSchema("1", { type: "number" })[0].message, "Debe ser un número");
+    assert.equal(validateSchema(NaN, { type: "number" }).length, 1);
+    assert.equal(validateSchema([], { type: "object" })[0].message, "Debe ser un objeto");
+    assert.equal(validateSchema({}, { type: "array" })[0].message, "Debe ser una lista");
+    assert.equal(validateSchema("no-es-un-id", { type: "objectId" })[0].message, "ID no válido");
+    assert.deepEqual(validateSchema("507f1f77bcf86cd799439011", { type: "objectId" }), []);
+    assert.deepEqual(validateSchema(42, { type: "any" }), []);
+  });
+
+  it("comprueba enum, límites numéricos y longitudes", () => {
+    assert.equal(validateSchema("c", { type: "string", enum: ["a", "b"] }).length, 1);
+    assert.equal(validateSchema(0, { type: "number", min: 1 })[0].message, "Debe ser mayor o igual a 1");
+    assert.equal(validateSchema(11, { type: "number", max: 10 })[0].message, "Debe ser menor o igual a 10");
+    assert.equal(validateSchema("   ", { type: "string", minLength: 1 }).length, 1, "los espacios no cuentan");
+    assert.equal(validateSchema([1, 2, 3], { type: "array", maxLength: 2 }).length, 1);
+  });
+
+  it("valida las propiedades de un objeto con su ruta", () => {
+    const schema = {
+      type: "object",
+      required: true,
+      properties: {
+        pin: { type: "string", required: true },
+        answer: {
+          type: "object",
+          properties: { number: { type: "number" } }
+        }
+      }
+    };
+    assert.deepEqual(fields(validateSchema({ answer: { number: "x" } }, schema)), ["pin", "answer.number"]);
+  });
+
+  it("valida los elementos de una lista y los duplicados", () => {
+    const schema = { type: "array", items: { type: "string" }, uniqueItems: true };
+    assert.deepEqual(fields(validateSchema(["a", 1, "a"], schema)), ["payload[1]", "payload[2]"]);
+  });
+
+  it("aplica validate solo si no hay otros errores, con la ruta relativa al valor", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        scoringRules: {
+          type: "object",
+          properties: { maxPoints: { type: "number", min: 1 } },
+          validate: (rules) => (rules.minPoints > rules.maxPoints
+            ? [{ field: "minPoints", message: "No puede ser mayor que maxPoints" }]
+            : [])
+        }
+      }
+    };
+    assert.deepEqual(validateSchema({ scoringRules: { maxPoints: 5, minPoints: 10 } }, schema), [
+      { field: "scoringRules.minPoints", message: "No puede ser mayor que maxPoints" }
+    ]);
+    assert.deepEqual(fields(validateSchema({ scoringRules: { maxPoints: 0, minPoints: 10 } }, schema)), [
+      "scoringRules.maxPoints"
+    ]);
+  });
+});